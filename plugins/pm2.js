@@ -0,0 +1,44 @@
+/**
+ * PM2 collector plugin for tds-svc-agent: one service per PM2 process ("pm2:<name>").
+ *
+ * Options (plugins.options.pm2 in tds-svc-agent.json):
+ *   binary  pm2 executable (default "pm2")
+ *   home    PM2_HOME of the user whose processes to list (default: the agent's)
+ */
+
+const bin = (ctx) => ctx.options.binary || "pm2";
+const envPrefix = (ctx) => (ctx.options.home ? `PM2_HOME=${JSON.stringify(ctx.options.home)} ` : "");
+
+// PM2 process states: online, stopping, stopped, launching, errored, one-launch-status
+const ACTIVE = { online: "active", launching: "activating", stopping: "deactivating", errored: "failed" };
+
+module.exports = {
+  name: "pm2",
+
+  async detect(ctx) {
+    const r = await ctx.exec(`${JSON.stringify(bin(ctx))} --version`);
+    return r.code === 0;
+  },
+
+  async collect(ctx) {
+    const r = await ctx.exec(`${envPrefix(ctx)}${JSON.stringify(bin(ctx))} jlist`);
+    if (r.code !== 0) throw new Error(`pm2 jlist failed: ${(r.stderr || "").trim() || `exit ${r.code}`}`);
+    // pm2 may print warnings before the JSON
+    const json = r.stdout.slice(r.stdout.indexOf("["));
+    return JSON.parse(json).map((p) => {
+      const env = p.pm2_env || {};
+      const status = env.status || "unknown";
+      return {
+        service: p.name,
+        description: env.pm_exec_path || "",
+        active: ACTIVE[status] || "inactive",
+        sub: status,
+        healthy: status === "online",
+        pid: p.pid || null,
+        restarts: env.restart_time || 0,
+        memoryBytes: p.monit ? p.monit.memory : null,
+        activeEnterTimestamp: status === "online" && env.pm_uptime ? new Date(env.pm_uptime).toISOString() : null,
+      };
+    });
+  },
+};
@@ -1,24 +1,23 @@
 #!/usr/bin/env bash
 set -euo pipefail
 
-# Where to stage the archive
+# Release archive in the layout the self-update (stageRelease) and install.sh
+# expect: one top-level directory with svc-agent.js and package.json in it.
+# Local config/state (tds-svc-agent.json, .tds-svc-agent.*) is never packed.
 STAGE=.dist
-APP_DIR=app
 OUT=tds-svc-agent
 
 rm -rf "$STAGE"
 mkdir -p "$STAGE/$OUT"
 
 # Copy app and system files
-cp -a $APP_DIR "$STAGE/$OUT/"
-cp -a system "$STAGE/$OUT/"
-cp -a scripts/install.sh "$STAGE/$OUT/"
-cp -a scripts/uninstall.sh "$STAGE/$OUT/"
+cp -a svc-agent.js package.json plugins scripts system "$STAGE/$OUT/"
+[ -f package-lock.json ] && cp -a package-lock.json "$STAGE/$OUT/"
 
-# Install production dependencies into app/ so the target hosts don't build
-pushd "$STAGE/$OUT/app" >/dev/null
-# Use npm ci or pnpm if you prefer; npm is the safest baseline.
-npm ci --omit=dev
+# Install production dependencies so the target hosts don't build
+pushd "$STAGE/$OUT" >/dev/null
+# Same as install.sh
+npm ci --omit=dev || npm install --omit=dev
 popd >/dev/null
 
 # Create tarball
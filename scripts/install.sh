@@ -193,16 +193,9 @@ create_default_config_linux() {
   if [ "$CREATE_CONFIG" = "true" ] && [ ! -f "/etc/${SERVICE_NAME}.json" ]; then
     cat <<JSON | sudo tee "/etc/${SERVICE_NAME}.json" >/dev/null
 {
-  "port": ${PORT_DEFAULT},
-  "bind": "${BIND_DEFAULT}",
+  "http": { "enabled": false, "port": ${PORT_DEFAULT}, "bind": "${BIND_DEFAULT}" },
   "include": [],
   "exclude": ["snapd.service"],
-  "push": {
-    "enabled": false,
-    "url": "",
-    "intervalSec": 60,
-    "token": ""
-  },
   "docker": { "enabled": false }
 }
 JSON
@@ -216,11 +209,9 @@ create_default_config_macos() {
   if [ "$CREATE_CONFIG" = "true" ] && [ ! -f "${install_dir}/tds-svc-agent.json" ]; then
     cat <<JSON | sudo tee "${install_dir}/tds-svc-agent.json" >/dev/null
 {
-  "port": ${PORT_DEFAULT},
-  "bind": "${BIND_DEFAULT}",
+  "http": { "enabled": false, "port": ${PORT_DEFAULT}, "bind": "${BIND_DEFAULT}" },
   "include": [],
   "exclude": [],
-  "push": { "enabled": false, "url": "", "intervalSec": 60, "token": "" },
   "docker": { "enabled": false }
 }
 JSON
@@ -229,6 +220,17 @@ JSON
   fi
 }
 
+# `svc-agent` on PATH for the CLI (e.g. `svc-agent ping <job>` from cron)
+install_cli() {
+  local install_dir="$1" node_bin="$2"
+  sudo mkdir -p /usr/local/bin
+  cat <<WRAP | sudo tee /usr/local/bin/svc-agent >/dev/null
+#!/bin/sh
+exec ${node_bin} ${install_dir}/svc-agent.js "\$@"
+WRAP
+  sudo chmod 0755 /usr/local/bin/svc-agent
+}
+
 install_linux() {
   local src_dir="$1"
   local install_dir="$INSTALL_DIR_LINUX"
@@ -244,6 +246,7 @@ install_linux() {
   popd >/dev/null
 
   create_default_config_linux
+  install_cli "$install_dir" /usr/bin/node
 
   # If a unit template exists, use it; otherwise generate one.
   local unit_src="${install_dir}/system/${SERVICE_NAME}.service"
@@ -311,6 +314,7 @@ install_macos() {
   popd >/dev/null
 
   create_default_config_macos "$install_dir"
+  install_cli "$install_dir" /usr/local/bin/node
 
   # Use provided plist if present, else generate minimal one
   local plist_src="${install_dir}/system/net.thomasdye.tds-svc-agent.plist"
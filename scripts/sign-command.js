@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Signs a collector -> agent command for tds-svc-agent.
+ *
+ * Usage:
+ *   node scripts/sign-command.js keygen <out-prefix>
+ *     writes <out-prefix>.key (private, keep on the collector) and <out-prefix>.pub
+ *     (set as security.commandPublicKey on the agents)
+ *
+ *   node scripts/sign-command.js sign <private-key.pem> '<json command>'
+ *     prints the command with nonce, ts and sig added, ready to send over WS;
+ *     the command must carry the target agent's "systemId" (see `svc-agent id`)
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+// The agent's own serialization, so both sides sign the same bytes
+const { canonicalJson } = require("../svc-agent.js");
+
+// Adds nonce, ts and sig to `command` (which must name its target systemId)
+function signCommand(command, privateKey, ts = Date.now()) {
+  const { sig: _ignored, ...msg } = command;
+  if (typeof msg.systemId !== "string" || !msg.systemId) throw new Error('the command needs the target agent\'s "systemId"');
+  msg.nonce = crypto.randomBytes(16).toString("hex");
+  msg.ts = ts;
+  msg.sig = crypto.sign(null, Buffer.from(canonicalJson(msg)), privateKey).toString("base64");
+  return msg;
+}
+
+function usage() {
+  console.error("usage: sign-command.js keygen <out-prefix> | sign <private-key.pem> '<json>'");
+  process.exit(2);
+}
+
+function main([cmd, a, b]) {
+  if (cmd === "keygen" && a) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    fs.writeFileSync(`${a}.key`, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+    fs.writeFileSync(`${a}.pub`, publicKey.export({ type: "spki", format: "pem" }));
+    console.log(`Wrote ${a}.key and ${a}.pub`);
+  } else if (cmd === "sign" && a && b) {
+    const key = crypto.createPrivateKey(fs.readFileSync(a, "utf8"));
+    try {
+      console.log(JSON.stringify(signCommand(JSON.parse(b), key)));
+    } catch (e) {
+      console.error(`sign-command.js: ${e.message}`);
+      process.exit(2);
+    }
+  } else {
+    usage();
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
+else module.exports = { signCommand };
@@ -20,12 +20,14 @@ if [ "$OS" = "linux" ]; then
   sudo rm -f "/etc/systemd/system/${SERVICE_NAME}.service"
   sudo systemctl daemon-reload
   sudo rm -rf "$INSTALL_DIR_LINUX"
+  sudo rm -f /usr/local/bin/svc-agent
   # Optional: sudo rm -f "/etc/${SERVICE_NAME}.json"
   echo "[✓] Uninstalled ${SERVICE_NAME} (Linux)"
 elif [ "$OS" = "macos" ]; then
   sudo launchctl unload "/Library/LaunchDaemons/net.thomasdye.tds-svc-agent.plist" 2>/dev/null || true
   sudo rm -f "/Library/LaunchDaemons/net.thomasdye.tds-svc-agent.plist"
   sudo rm -rf "$INSTALL_DIR_MAC"
+  sudo rm -f /usr/local/bin/svc-agent
   echo "[✓] Uninstalled ${SERVICE_NAME} (macOS)"
 else
   echo "Unsupported OS"
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Rollback watchdog for tds-svc-agent self-updates (started by the agent, not by hand).
+ *
+ * Usage:
+ *   node scripts/update-watchdog.js <pending-update-file>
+ *
+ * The agent swaps the new release into place, writes the pending-update file and
+ * starts this script from the previous release (outside the agent's systemd unit,
+ * so restarting the unit does not kill it). The new agent deletes the file once it
+ * has reconnected and sent `hello`. If the file still says "pending" at its
+ * deadline, the previous release is swapped back and the agent restarted; the
+ * restored agent then reports the rollback to the collector.
+ */
+
+const fs = require("fs");
+const { spawn, spawnSync } = require("child_process");
+
+const file = process.argv[2];
+if (!file) {
+  console.error("usage: update-watchdog.js <pending-update-file>");
+  process.exit(2);
+}
+
+const log = (...args) => console.log("[update-watchdog]", ...args);
+
+function readPending() {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (_) {
+    return null; // gone: the new version confirmed
+  }
+}
+
+function restartAgent(p) {
+  const r = p.restart || {};
+  if (r.systemdUnit) {
+    spawnSync("systemctl", ["restart", r.systemdUnit], { stdio: "inherit" });
+    return;
+  }
+  if (r.launchdLabel) {
+    const uid = process.getuid();
+    const res = spawnSync("launchctl", ["kickstart", "-k", `gui/${uid}/${r.launchdLabel}`], { stdio: "inherit" });
+    if (res.status !== 0) spawnSync("launchctl", ["kickstart", "-k", `system/${r.launchdLabel}`], { stdio: "inherit" });
+    return;
+  }
+  // Not supervised: the new agent (if it got as far as recording its pid) may
+  // still be running; stop it and start the old one
+  if (p.newPid) {
+    try { process.kill(p.newPid, "SIGTERM"); } catch (_) {}
+  }
+  spawn(r.node || process.execPath, [`${p.dir}/svc-agent.js`], { cwd: r.cwd || p.dir, detached: true, stdio: "ignore" }).unref();
+}
+
+function rollback(p) {
+  const failedDir = `${p.dir}.failed`;
+  fs.rmSync(failedDir, { recursive: true, force: true });
+  fs.renameSync(p.dir, failedDir);
+  fs.renameSync(p.prevDir, p.dir);
+  const error = `version ${p.version} did not reconnect within ${p.timeoutSec}s; rolled back to ${p.from}`;
+  fs.writeFileSync(file, JSON.stringify({ ...p, status: "rolledBack", error }, null, 2) + "\n", { mode: 0o600 });
+  log(error);
+  restartAgent(p);
+}
+
+function check() {
+  const p = readPending();
+  if (!p || p.status !== "pending") {
+    log("update confirmed");
+    process.exit(0);
+  }
+  if (Date.now() < p.deadline) return setTimeout(check, 2000);
+  try {
+    rollback(p);
+  } catch (e) {
+    log(`rollback failed: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+check();
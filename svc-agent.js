@@ -3,23 +3,50 @@
  * TDS Service Health Agent — WebSocket edition (no inbound ports by default)
  * Platforms:
  *   - Linux (systemd): enumerates with `systemctl`
- *   - macOS (launchd): enumerates with `launchctl`
+ *   - macOS (launchd): enumerates with `launchctl print` (system + gui/<uid> domains)
  * Features:
  *   - Persistent outbound WebSocket to central server (two-way)
- *   - Optional local HTTP endpoints (disabled by default)
+ *   - Optional local HTTP endpoints (disabled by default; read/admin tokens, HTTPS, unix socket)
  *   - Stable systemId generation & persistence
- *   - Optional Docker container enumeration
+ *   - Optional Docker container enumeration (Engine API + /events, CLI fallback)
+ *   - Event-driven systemd updates (journal or D-Bus), polling as reconciliation
+ *   - Delta reporting: per-service change events with sequence numbers
+ *   - Allow-listed remote service control (start/stop/restart/reload)
+ *   - Ed25519-signed mutating commands with replay protection
+ *   - On-disk offline queue, replayed after reconnect
+ *   - Active health checks (HTTP, TCP, command, TLS expiry) per service
+ *   - On-demand log tail/follow for services (journald, docker, launchd)
+ *   - Host resource metrics with threshold-based synthetic "host:*" services
+ *   - Validated, hot-reloadable config (SIGHUP, file change, remote setConfig)
+ *   - Glob/regex include/exclude, unit state filters, per-service metadata labels
+ *   - Per-service health history, flap detection and a failure grace period
+ *   - Local notifications (webhook, SMTP, syslog, command), incl. collector down
+ *   - Collector TLS: custom CA, client certificates (mTLS), SPKI pinning
+ *   - Enrollment with a one-time join token, per-host rotating credentials
+ *   - Signed self-update with sha256 verification and automatic rollback
+ *   - Collector plugins for other supervisors (PM2, Podman, supervisord, ...)
+ *   - Command timeouts, single-flight snapshots, per-collector status (ok/error)
+ *   - Scheduled jobs: systemd timers, launchd calendar jobs, heartbeats (`svc-agent ping`)
+ *   - Several collectors: priority failover or fan-out, commands only from `control` ones
+ *   - Versioned wire protocol: negotiation, correlated replies, error codes, optional msgpack
+ *   - CLI for operators: snapshot, status (control socket), doctor, id, ping
  */
 
 const os = require("os");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
-const { exec } = require("child_process");
+const net = require("net");
+const tls = require("tls");
+const http = require("http");
+const https = require("https");
+const { spawn } = require("child_process");
+const { PassThrough } = require("stream");
 const WebSocket = require("ws"); // ensure dependency in package.json
 // HTTP/Prometheus are optional; required only if enabled
 let express = null;
 let prom = null;
+let msgpack; // optional too (@msgpack/msgpack); see loadMsgpack()
 
 // ---------- Config ----------
 const CONFIG_PATHS = [
@@ -35,21 +62,208 @@ const defaults = {
     enabled: false,
     port: Number(process.env.PORT || 8088),
     bind: process.env.BIND || "127.0.0.1",
+    // Unix domain socket path; when set, port/bind are not used
+    socket: process.env.HTTP_SOCKET || null,
+    socketMode: "0660", // octal file mode applied to the socket
     prometheus: true, // only effective if http.enabled = true
+    // HTTPS when both are set (PEM file paths)
+    tls: { cert: process.env.HTTP_TLS_CERT || null, key: process.env.HTTP_TLS_KEY || null },
+    // Bearer token, or the password of HTTP basic auth (any user name). With
+    // neither set the API is open. readToken: /health, /services, /metrics;
+    // adminToken: those plus /refresh.
+    auth: {
+      readToken: process.env.HTTP_READ_TOKEN || null,
+      adminToken: process.env.HTTP_ADMIN_TOKEN || null,
+    },
+    refreshMinIntervalSec: 10, // POST /refresh more often than this gets 429
   },
 
-  include: [], // e.g. ["nginx.service"]
-  exclude: [], // e.g. ["snapd.service"]
+  // Local control socket for `svc-agent status` (unix socket, mode 0600)
+  control: {
+    enabled: true,
+    socket: process.env.CONTROL_SOCKET || null, // default: next to the id file, e.g. /etc/tds-svc-agent.sock
+  },
+
+  // Unit names (systemd/launchd) to report or skip. Each entry is an exact name,
+  // a glob ("systemd-*", "com.apple.*"; * and ? are wildcards) or "/regex/flags".
+  include: [], // e.g. ["nginx.service", "app-*.service"]
+  exclude: [], // e.g. ["snapd.service", "systemd-*", "/^getty@/"]
+
+  // Keep only units whose state matches (same pattern syntax; empty = no filter), e.g.
+  //   unitFileState: ["enabled"]         - only enabled units (launchd: "disabled" if overridden)
+  //   active: ["active", "failed"]       - only running or failed units
+  filters: {
+    unitFileState: [],
+    active: [],
+  },
+
+  // Metadata attached to matching services (keys use the include/exclude pattern
+  // syntax), carried on each service object and added as Prometheus labels, e.g.
+  //   "nginx.service": { displayName: "Web frontend", owner: "web", criticality: "high", tags: ["edge"] },
+  //   "docker:*": { owner: "platform", tags: ["container"] }
+  // Every matching entry applies in order: later ones override displayName, owner
+  // and criticality; tags accumulate.
+  services: {},
+
+  // Local notifications on health transitions, sent by the agent itself so they
+  // also work while the collector is unreachable. Events: unhealthy, recovered,
+  // flapping, collectorDown, collectorUp.
+  notify: {
+    enabled: false,
+    // Named sinks, e.g.
+    //   "hook": { type: "webhook", url: "https://hooks.example.com/x", headers: {}, body: { text: "{{message}}" } },
+    //   "mail": { type: "smtp", host: "smtp.example.com", port: 587, user: "u", pass: "p",
+    //             from: "agent@example.com", to: ["ops@example.com"], subject: "[{{event}}] {{service}}" },
+    //   "log":  { type: "syslog", facility: "daemon", tag: "tds-svc-agent" },
+    //   "page": { type: "command", command: "/usr/local/bin/page-oncall" }  // alert JSON on stdin + TDS_* env
+    // Templates ({{event}}, {{service}}, {{host}}, {{message}}, {{displayName}}, ...) use the alert's fields.
+    sinks: {},
+    // First matching route picks the sinks; without routes every sink gets every alert, e.g.
+    //   { services: ["docker:*"], events: ["unhealthy", "recovered"], sinks: ["hook"] },
+    //   { events: ["collectorDown", "collectorUp"], sinks: ["mail"] }
+    routes: [],
+    dedupSec: 300,          // the same event for the same service is sent once per window
+    repeatSec: 3600,        // re-send unhealthy/collectorDown while it lasts; 0 = once
+    collectorDownMin: 10,   // collector unreachable this long -> collectorDown; 0 = off
+    onlyWhenDisconnected: false, // service alerts only while the collector is unreachable
+  },
+
+  // Per-service health history (getHistory, /services/:name/history) and flap detection
+  history: {
+    maxTransitions: 50,  // transitions kept per service; keep it above flapThreshold
+    flapThreshold: 5,    // more than this many transitions...
+    flapWindowSec: 600,  // ...within this window marks the service `flapping`
+    // Keep reporting a service that just went from healthy to failed as healthy
+    // for this long (not while it is flapping); 0 = report failures at once
+    failGraceSec: Number(process.env.FAIL_GRACE_SEC || 0),
+  },
+
+  systemd: {
+    // Push unit changes between polls (polling stays as reconciliation):
+    //   "journal" - follow `journalctl -f` for PID 1 unit messages (needs journal read access)
+    //   "off"     - poll only
+    // ("dbus" is still accepted and means "journal": systemd only emits unit signals
+    // to a subscribed bus client, which a plain monitor process can't be)
+    watch: process.env.SYSTEMD_WATCH || "journal",
+  },
+
+  // Scheduled jobs: systemd timers, launchd calendar jobs and heartbeats that
+  // cron scripts send with `svc-agent ping <job>` (or POST /ping/<job>)
+  jobs: {
+    // Missed-run check: "<pattern>": seconds the last run may be old, matched against
+    // service names, e.g. { "backup.timer": 93600, "heartbeat:db-dump": 7200 }
+    maxAgeSec: {},
+    // Heartbeats reported even before their first ping: "<job>": { maxAgeSec, description }
+    heartbeats: {},
+    // Where pings are recorded; null = ".tds-svc-agent.heartbeats" next to the id file
+    heartbeatDir: process.env.HEARTBEAT_DIR || null,
+  },
+
+  launchd: {
+    // Domains to enumerate on macOS: "system", "gui/<uid>", "user/<uid>". null =
+    // "system", plus the agent user's gui domain when not running as root
+    domains: process.env.LAUNCHD_DOMAINS ? process.env.LAUNCHD_DOMAINS.split(",").map((d) => d.trim()) : null,
+    // Per-job details are re-read when the job's PID or last exit status changes,
+    // and at least this often (a run count is all that shows a short job ran)
+    detailsMaxAgeSec: 600,
+  },
+
+  // Host resource metrics (snapshot `hostMetrics`, Prometheus) and synthetic
+  // "host:*" services that turn unhealthy when a threshold is exceeded.
+  // Set a threshold to null to drop that synthetic service.
+  host: {
+    enabled: process.env.HOST_METRICS !== "false",
+    thresholds: {
+      diskPct: 90,    // host:disk:<mount>
+      inodePct: 90,   // host:inodes:<mount>
+      memoryPct: 95,  // host:memory
+      swapPct: 80,    // host:swap
+      loadPerCpu: 2,  // host:load (1-minute load average per CPU)
+    },
+    ignoreFs: ["tmpfs", "devtmpfs", "overlay", "squashfs", "autofs", "devfs", "nullfs", "proc", "sysfs"],
+    ignoreMounts: ["/snap/", "/run/", "/dev/", "/System/Volumes/VM", "/System/Volumes/Preboot", "/System/Volumes/Update"],
+  },
+
+  // Remote service control: actions the collector may request, per service.
+  // e.g. { "nginx.service": ["restart", "reload"], "docker:web": ["restart"] }
+  actions: {},
 
   // WebSocket to central
   ws: {
     url: process.env.CENTRAL_WS_URL || "", // e.g. "wss://collector.tds/agent"
     token: process.env.AUTH_TOKEN || "",   // Bearer token
-    // TLS: set to true ONLY if you know what you’re doing
+    // One-time join token: without a stored credential for this url the agent
+    // enrolls and from then on uses the per-host credential it is issued
+    joinToken: process.env.JOIN_TOKEN || "",
+    // Give up on a collector that doesn't answer `enroll` within this; the normal backoff retries
+    enrollTimeoutSec: 30,
+    // TLS: set to true ONLY if you know what you’re doing (ignored when tls.pins is set)
     insecureSkipTlsVerify: process.env.WS_INSECURE === "true" || false,
+    // PEM file paths; re-read on every connect and watched, so rotating them needs no restart
+    tls: {
+      ca: process.env.WS_TLS_CA || "",     // trust this CA bundle instead of the system roots
+      cert: process.env.WS_TLS_CERT || "", // client certificate + key for mutual TLS
+      key: process.env.WS_TLS_KEY || "",
+      passphrase: "",
+      // SPKI pins of the collector certificate or one of its CAs, base64 sha256 ("sha256/..." also accepted):
+      //   openssl x509 -in cert.pem -pubkey -noout | openssl pkey -pubin -outform der | openssl dgst -sha256 -binary | base64
+      // For a self-signed collector certificate, also put it in `ca`.
+      pins: [],
+    },
     heartbeatSec: Number(process.env.WS_HEARTBEAT || 25),
     reconnectBaseMs: Number(process.env.WS_RECONNECT_BASE || 1000),
     reconnectMaxMs: Number(process.env.WS_RECONNECT_MAX || 30000),
+    // Several collectors, highest priority first; when set, url/token/joinToken above are
+    // ignored. Each entry: { url, token, joinToken, control }. Only collectors with
+    // `control: true` may send commands (service actions, logs, setConfig, updates).
+    urls: [],
+    // "failover": one connection, to the first collector in `urls` that answers;
+    // "fanout": a connection to every collector at once (e.g. prod + staging)
+    mode: process.env.WS_MODE || "failover",
+    // Failover: while connected to a lower-priority collector, probe the preferred ones this often
+    failbackSec: 300,
+    // Offer msgpack for snapshots in `hello` (only if @msgpack/msgpack is installed)
+    msgpack: true,
+  },
+
+  // On-demand log access over WS (getLogs / followLogs)
+  logs: {
+    maxLines: 5000,                   // cap for a single getLogs request
+    maxStreams: 4,                    // concurrent followLogs streams
+    maxStreamBytes: 5 * 1024 * 1024,  // per followLogs stream; the stream ends when reached
+  },
+
+  // Authorization of mutating commands received over WS
+  security: {
+    // Ed25519 public key (PEM text or path to a PEM file). Without it, mutating
+    // commands (serviceAction, runInstall, ...) are rejected.
+    commandPublicKey: process.env.COMMAND_PUBLIC_KEY || "",
+    // Signed commands whose `ts` is further than this from our clock are rejected
+    maxCommandAgeSec: Number(process.env.COMMAND_MAX_AGE || 300),
+    // Remote `runInstall` is off unless explicitly enabled
+    allowRemoteInstall: process.env.ALLOW_REMOTE_INSTALL === "true" || false,
+    // Remote `update` (self-update to a given version + sha256) likewise
+    allowRemoteUpdate: process.env.ALLOW_REMOTE_UPDATE === "true" || false,
+    // The only env vars a `runInstall` command may pass to install.sh
+    installEnvAllow: ["VERSION", "BRANCH", "OWNER", "REPO"],
+  },
+
+  // Active health checks, keyed by service name, e.g.
+  //   "nginx.service": [
+  //     { type: "http", url: "http://127.0.0.1/healthz", expectStatus: 200, bodyMatch: "ok" },
+  //     { type: "tcp", host: "127.0.0.1", port: 443 },
+  //     { type: "command", command: "pg_isready -q", expectExitCode: 0 },
+  //     { type: "tls", host: "www.example.com", port: 443, minDaysLeft: 14 },
+  //   ]
+  // Every probe also accepts name, intervalSec (30), timeoutMs (5000) and
+  // failureThreshold (3 consecutive failures before it counts as failing).
+  checks: {},
+
+  // Offline buffering of sequenced messages (events/snapshots) while WS is down
+  queue: {
+    enabled: true,
+    maxBytes: Number(process.env.QUEUE_MAX_BYTES || 5 * 1024 * 1024),
+    maxAgeSec: Number(process.env.QUEUE_MAX_AGE || 24 * 3600),
   },
 
   // Periodic snapshot push over WS
@@ -60,24 +274,280 @@ const defaults = {
 
   docker: {
     enabled: process.env.DOCKER_ENABLED === "true" || false,
-    binary: process.env.DOCKER_BIN || "docker",
+    binary: process.env.DOCKER_BIN || "docker", // CLI fallback if the Engine API is unreachable
+    // Engine API endpoint: "unix:///var/run/docker.sock" or "tcp://127.0.0.1:2375"
+    host: process.env.DOCKER_HOST || "unix:///var/run/docker.sock",
+    // Follow the /events stream so container start/die/health changes are pushed at once
+    events: true,
+  },
+
+  // Commands the agent runs itself (systemctl, launchctl, docker CLI, df, ...)
+  exec: {
+    timeoutMs: Number(process.env.EXEC_TIMEOUT_MS || 15000), // then killed, with anything it started
+    maxConcurrent: 4,
+  },
+
+  // Extra collector modules (PM2, Podman, supervisord, ...): every .js file or
+  // directory in `dir` that exports { name, detect?, collect } (see "Plugins")
+  plugins: {
+    enabled: true,
+    dir: process.env.PLUGINS_DIR || path.join(__dirname, "plugins"),
+    timeoutMs: 10000, // per detect()/collect() call
+    options: {},      // passed to each plugin by name: { "<name>": { ... } }
+  },
+
+  // Self-update via the signed `update` command (see security.allowRemoteUpdate)
+  update: {
+    // Release tarball for a version unless the command gives a url; {{version}} is substituted
+    urlTemplate: "https://codeload.github.com/thomasdye12/tds-svc-agent/tar.gz/refs/tags/v{{version}}",
+    // The new version must reconnect within this long, or the previous release is restored
+    confirmTimeoutSec: 120,
   },
 
   // Optional hard-override for systemId
   systemId: undefined,
 };
 
-let config = { ...defaults };
-for (const p of CONFIG_PATHS) {
-  try {
-    if (p && fs.existsSync(p)) {
-      const loaded = JSON.parse(fs.readFileSync(p, "utf8"));
-      config = { ...config, ...loaded };
-      console.log(`[svc-agent] Loaded config from ${p}`);
-      break;
+// Expected shape of the config file. Leaves are type names ("string", "number",
+// "boolean", "string[]", "pattern[]", "object", "any"; a trailing "?" allows null),
+// an array of allowed values, or a nested schema. A "*" key matches any key (maps
+// keyed by service name); "*keys": "pattern" also requires those keys to be patterns,
+// and "*required": [keys] lists keys that must be present.
+// { "[]": schema } is an array whose items match schema.
+const CONFIG_SCHEMA = {
+  http: {
+    enabled: "boolean",
+    port: "number",
+    bind: "string",
+    socket: "string?",
+    socketMode: "string",
+    prometheus: "boolean",
+    tls: { cert: "string?", key: "string?" },
+    auth: { readToken: "string?", adminToken: "string?" },
+    refreshMinIntervalSec: "number",
+  },
+  control: { enabled: "boolean", socket: "string?" },
+  include: "pattern[]",
+  exclude: "pattern[]",
+  filters: { unitFileState: "pattern[]", active: "pattern[]" },
+  services: {
+    "*keys": "pattern",
+    "*": { displayName: "string", owner: "string", criticality: "string", tags: "string[]" },
+  },
+  notify: {
+    enabled: "boolean",
+    sinks: {
+      "*": {
+        type: ["webhook", "smtp", "syslog", "command"],
+        timeoutMs: "number",
+        url: "string", method: "string", headers: { "*": "string" }, body: "any", rejectUnauthorized: "boolean",
+        host: "string", port: "number", secure: "boolean", starttls: "boolean",
+        user: "string", pass: "string", from: "string", to: "string[]", subject: "string",
+        facility: "string", tag: "string",
+        command: "string",
+      },
+    },
+    routes: { "[]": { services: "pattern[]", events: "string[]", sinks: "string[]" } },
+    dedupSec: "number",
+    repeatSec: "number",
+    collectorDownMin: "number",
+    onlyWhenDisconnected: "boolean",
+  },
+  history: { maxTransitions: "number", flapThreshold: "number", flapWindowSec: "number", failGraceSec: "number" },
+  systemd: { watch: ["journal", "dbus", "off"] },
+  launchd: { domains: "string[]?", detailsMaxAgeSec: "number" },
+  jobs: {
+    maxAgeSec: { "*keys": "pattern", "*": "number" },
+    heartbeats: { "*": { maxAgeSec: "number?", description: "string" } },
+    heartbeatDir: "string?",
+  },
+  host: {
+    enabled: "boolean",
+    thresholds: {
+      diskPct: "number?", inodePct: "number?", memoryPct: "number?", swapPct: "number?", loadPerCpu: "number?",
+    },
+    ignoreFs: "string[]",
+    ignoreMounts: "string[]",
+  },
+  actions: { "*": "string[]" },
+  ws: {
+    url: "string",
+    token: "string",
+    joinToken: "string",
+    enrollTimeoutSec: "number",
+    insecureSkipTlsVerify: "boolean",
+    tls: { ca: "string", cert: "string", key: "string", passphrase: "string", pins: "string[]" },
+    heartbeatSec: "number",
+    reconnectBaseMs: "number",
+    reconnectMaxMs: "number",
+    urls: { "[]": { url: "string", token: "string", joinToken: "string", control: "boolean" } },
+    mode: ["failover", "fanout"],
+    failbackSec: "number",
+    msgpack: "boolean",
+  },
+  logs: { maxLines: "number", maxStreams: "number", maxStreamBytes: "number" },
+  security: {
+    commandPublicKey: "string",
+    maxCommandAgeSec: "number",
+    allowRemoteInstall: "boolean",
+    allowRemoteUpdate: "boolean",
+    installEnvAllow: "string[]",
+  },
+  checks: { "*": "any" },
+  queue: { enabled: "boolean", maxBytes: "number", maxAgeSec: "number" },
+  reporting: { intervalSec: "number", sendOnConnect: "boolean" },
+  docker: { enabled: "boolean", binary: "string", host: "string", events: "boolean" },
+  exec: { timeoutMs: "number", maxConcurrent: "number" },
+  plugins: { enabled: "boolean", dir: "string", timeoutMs: "number", options: { "*": "object" } },
+  update: { urlTemplate: "string", confirmTimeoutSec: "number" },
+  systemId: "string?",
+};
+
+// Keys written by older installers; accepted with a warning and ignored
+const LEGACY_CONFIG_KEYS = ["port", "bind", "push"];
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+// Returns a list of "path: problem" strings (empty if valid)
+function validateConfig(value, schema = CONFIG_SCHEMA, at = "") {
+  const errors = [];
+  const here = at || "(root)";
+
+  if (Array.isArray(schema)) {
+    if (!schema.includes(value)) errors.push(`${here}: expected one of ${schema.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+    return errors;
+  }
+
+  if (typeof schema === "string") {
+    const nullable = schema.endsWith("?");
+    const type = nullable ? schema.slice(0, -1) : schema;
+    if (type === "any" || (nullable && value === null)) return errors;
+    if (type === "string[]" || type === "pattern[]") {
+      if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+        errors.push(`${here}: expected an array of strings, got ${typeOf(value)}`);
+      } else if (type === "pattern[]") {
+        value.forEach((v, i) => errors.push(...patternErrors(v, `${at}[${i}]`)));
+      }
+    } else if (type === "object" ? !isPlainObject(value) : typeOf(value) !== type) {
+      errors.push(`${here}: expected ${type}, got ${typeOf(value)}`);
+    } else if (type === "number" && !Number.isFinite(value)) {
+      errors.push(`${here}: expected a finite number`);
+    }
+    return errors;
+  }
+
+  if ("[]" in schema) {
+    if (!Array.isArray(value)) return [`${here}: expected array, got ${typeOf(value)}`];
+    return value.flatMap((v, i) => validateConfig(v, schema["[]"], `${at}[${i}]`));
+  }
+
+  if (!isPlainObject(value)) return [`${here}: expected object, got ${typeOf(value)}`];
+  for (const k of schema["*required"] || []) {
+    if (!(k in value)) errors.push(`${at ? `${at}.${k}` : k}: required`);
+  }
+  for (const [k, v] of Object.entries(value)) {
+    const keyPath = at ? `${at}.${k}` : k;
+    const sub = k in schema ? schema[k] : schema["*"];
+    if (!(k in schema) && schema["*keys"] === "pattern") errors.push(...patternErrors(k, keyPath));
+    if (sub === undefined) {
+      if (!at && LEGACY_CONFIG_KEYS.includes(k)) continue;
+      errors.push(`${keyPath}: unknown key`);
+      continue;
     }
+    errors.push(...validateConfig(v, sub, keyPath));
+  }
+  return errors;
+}
+
+// "/regex/flags" is a regular expression; anything else is a glob where * and ?
+// are wildcards (without either it only matches the exact name)
+function compilePattern(p) {
+  const re = /^\/(.+)\/([a-z]*)$/.exec(p);
+  if (re) return new RegExp(re[1], re[2].replace(/[gy]/g, "")); // stateless .test()
+  const glob = p.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${glob}$`);
+}
+
+function patternErrors(p, at) {
+  try {
+    compilePattern(p);
+    return [];
+  } catch (e) {
+    return [`${at}: invalid pattern ${JSON.stringify(p)}: ${e.message}`];
+  }
+}
+
+// checks.* is free-form per probe type; catch what would only fail at probe time
+function checksErrors(checks) {
+  const errors = [];
+  for (const [service, list] of Object.entries(isPlainObject(checks) ? checks : {})) {
+    [].concat(list).forEach((probe, i) => {
+      if (!isPlainObject(probe) || probe.bodyMatch === undefined) return;
+      try {
+        new RegExp(probe.bodyMatch);
+      } catch (e) {
+        errors.push(`checks.${service}[${i}].bodyMatch: invalid regular expression: ${e.message}`);
+      }
+    });
+  }
+  return errors;
+}
+
+const configErrors = (raw) => [...validateConfig(raw), ...checksErrors(raw.checks)];
+
+// Objects merge key by key; arrays and scalars from `over` replace `base`
+function deepMerge(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return over === undefined ? base : over;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = deepMerge(base[k], v);
+  return out;
+}
+
+class ConfigError extends Error {
+  constructor(file, errors) {
+    super(`invalid config ${file}:\n  ${errors.join("\n  ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+// Reads the first existing config file, validates it and merges it over the defaults.
+// Returns { config, file, raw } (file/raw are null when no file exists); throws ConfigError.
+function loadConfig() {
+  const file = CONFIG_PATHS.find((p) => fs.existsSync(p));
+  if (!file) return { config: deepMerge(defaults, {}), file: null, raw: null };
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
   } catch (e) {
-    console.error("[svc-agent] Config load error:", e.message);
+    throw new ConfigError(file, [e.message]);
+  }
+  const errors = configErrors(raw);
+  if (errors.length) throw new ConfigError(file, errors);
+  const legacy = LEGACY_CONFIG_KEYS.filter((k) => k in raw);
+  if (legacy.length) console.warn(`[svc-agent] ${file}: ignoring legacy key(s) ${legacy.join(", ")}`);
+  return { config: deepMerge(defaults, raw), file, raw };
+}
+
+let config = deepMerge(defaults, {});
+let configFile = null;
+let configRaw = null; // the file's own content, without defaults (base for setConfig)
+let configLoadError = null;
+try {
+  ({ config, file: configFile, raw: configRaw } = loadConfig());
+} catch (e) {
+  // `svc-agent doctor` reports an invalid config itself and require() callers
+  // (scripts/sign-command.js, test/) don't use it: both run on defaults
+  configLoadError = e;
+  if (require.main === module && process.argv[2] !== "doctor") {
+    console.error(`[svc-agent] ${e.message}`);
+    process.exit(1);
   }
 }
 
@@ -87,19 +557,84 @@ const HOSTNAME = os.hostname();
 const isLinux = process.platform === "linux";
 const isMac = process.platform === "darwin";
 
-function execCmd(cmd) {
+// Runs a shell command and always resolves with { err, stdout, stderr, code, timedOut }.
+// At most exec.maxConcurrent run at once; after timeoutMs the command's whole
+// process group gets SIGTERM, then SIGKILL.
+const EXEC_MAX_BUFFER = 10 * 1024 * 1024;
+let execRunning = 0;
+const execWaiting = [];
+
+async function execCmd(cmd, { timeoutMs = config.exec.timeoutMs } = {}) {
+  if (execRunning >= Math.max(1, config.exec.maxConcurrent)) {
+    await new Promise((resolve) => execWaiting.push(resolve)); // slot handed over by the finisher
+  } else {
+    execRunning++;
+  }
+  try {
+    return await runShell(cmd, timeoutMs);
+  } finally {
+    const next = execWaiting.shift();
+    if (next) next();
+    else execRunning--;
+  }
+}
+
+function runShell(cmd, timeoutMs) {
   return new Promise((resolve) => {
-    exec(cmd, { maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
-        resolve({
-            err,
-            stdout,
-            stderr,
-            code: (err && typeof err.code !== "undefined") ? err.code : 0
-          });
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let killTimer = null;
+    let done = false;
+    // Own process group, so a timeout also reaches whatever the shell started
+    const child = spawn("/bin/sh", ["-c", cmd], { detached: true, stdio: ["ignore", "pipe", "pipe"] });
+    const kill = (sig) => {
+      try { process.kill(-child.pid, sig); } catch (_) {}
+    };
+    const finish = (err, code) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      child.stdout.destroy();
+      child.stderr.destroy();
+      resolve({ err, stdout, stderr, code, timedOut });
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill("SIGTERM");
+      // Don't wait on a process that ignores SIGTERM or on pipes held open by an escaped child
+      killTimer = setTimeout(() => {
+        kill("SIGKILL");
+        finish(new Error(`Command timed out after ${timeoutMs}ms: ${cmd}`), null);
+      }, 2000);
+    }, timeoutMs);
+
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    child.stdout.on("data", (d) => { if (stdout.length < EXEC_MAX_BUFFER) stdout += d; });
+    child.stderr.on("data", (d) => { if (stderr.length < EXEC_MAX_BUFFER) stderr += d; });
+    child.on("error", (err) => finish(err, err.code));
+    child.on("close", (code, signal) => {
+      if (timedOut) return finish(new Error(`Command timed out after ${timeoutMs}ms: ${cmd}`), null);
+      if (code === 0) return finish(null, 0);
+      const err = new Error(`Command failed: ${cmd}\n${stderr}`);
+      err.code = code;
+      err.signal = signal;
+      finish(err, code);
     });
   });
 }
 
+// Error for a failed execCmd() result; the stderr goes into collector status
+function commandError(what, r) {
+  const detail = r.timedOut ? "timed out" : `failed (exit ${r.code})`;
+  const firstLine = (r.stderr || "").trim().split("\n")[0];
+  const e = new Error(`${what} ${detail}${firstLine ? `: ${firstLine}` : ""}`);
+  e.stderr = r.stderr || "";
+  return e;
+}
+
 const slug = (s) =>
   String(s).toLowerCase().replace(/[^a-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "");
 
@@ -112,11 +647,10 @@ async function runLocalInstallSh(extraArgs = [], extraEnv = {}) {
     if (!fs.existsSync(installSh)) throw new Error(`install.sh not found at ${installSh}`);
     try { fs.chmodSync(installSh, 0o755); } catch (_) {}
   
-    const cmd = `"${installSh}" ${extraArgs.map(a => `"${a}"`).join(" ")}`.trim();
+    // No shell: args are passed through verbatim, never interpreted
     return new Promise((resolve, reject) => {
-      const child = require("child_process").spawn(cmd, {
-        shell: true,
-        env: { ...process.env, ...extraEnv },   // <— merge in env from WS
+      const child = require("child_process").spawn(installSh, extraArgs, {
+        env: { ...process.env, ...extraEnv },   // <— allow-listed env from WS
         cwd: __dirname,
       });
   
@@ -124,6 +658,7 @@ async function runLocalInstallSh(extraArgs = [], extraEnv = {}) {
       child.stdout.on("data", d => { out += d.toString(); });
       child.stderr.on("data", d => { err += d.toString(); });
   
+      child.on("error", reject);
       child.on("close", code => {
         if (code !== 0) {
           reject(new Error(`install.sh failed (code ${code}): ${err || out || code}`.trim()));
@@ -215,12 +750,21 @@ async function getMacPlatformUUID() {
   }
 }
 
-async function initSystemId() {
+// config.systemId, else the persisted id, else a new one derived from the
+// machine (written to the first writable ID_FILE_CANDIDATES entry if `persist`)
+async function initSystemId({ persist = true } = {}) {
   if (config.systemId) return String(config.systemId).trim();
 
   const persisted = await readFirstExisting(ID_FILE_CANDIDATES);
   if (persisted) return persisted;
 
+  const osId = await deriveSystemId();
+  if (persist) await writeFirstWritable(ID_FILE_CANDIDATES, osId);
+  return osId;
+}
+
+// machine-id / IOPlatformUUID, else a hash of hostname + MACs, else random
+async function deriveSystemId() {
   let osId = null;
   if (isLinux) osId = await getLinuxMachineId();
   else if (isMac) osId = await getMacPlatformUUID();
@@ -246,36 +790,139 @@ async function initSystemId() {
     }
   }
 
-  if (!osId) osId = crypto.randomUUID();
-  await writeFirstWritable(ID_FILE_CANDIDATES, osId);
-  return osId;
+  return osId || crypto.randomUUID();
+}
+
+// Agent state files (offline queue, credentials, ...) live next to the id file,
+// e.g. /etc/tds-svc-agent.id -> /etc/tds-svc-agent.queue
+function stateFilePath(ext) {
+  const dirWritable = (p) => {
+    try {
+      fs.accessSync(path.dirname(p), fs.constants.W_OK);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  };
+  const idFile =
+    ID_FILE_CANDIDATES.find((p) => fs.existsSync(p)) ||
+    ID_FILE_CANDIDATES.find(dirWritable) ||
+    path.join(__dirname, ".tds-svc-agent.id");
+  return idFile.replace(/\.id$/, "") + ext;
+}
+
+// ---------- Service selection + metadata ----------
+const compiledPatterns = new Map();
+
+function matchesPattern(name, pattern) {
+  let re = compiledPatterns.get(pattern);
+  if (!re) compiledPatterns.set(pattern, (re = compilePattern(pattern)));
+  return re.test(name);
+}
+
+const matchesAny = (name, patterns) => patterns.some((p) => matchesPattern(name, p));
+
+const nameSelected = (name) =>
+  (!config.include.length || matchesAny(name, config.include)) && !matchesAny(name, config.exclude);
+
+// include/exclude and the state filters; applied to systemd/launchd units
+function unitSelected(svc) {
+  const { filters } = config;
+  if (!nameSelected(svc.service)) return false;
+  if (filters.unitFileState.length && !matchesAny(svc.unitFileState, filters.unitFileState)) return false;
+  if (filters.active.length && !matchesAny(svc.active, filters.active)) return false;
+  return true;
+}
+
+const METADATA_FIELDS = ["displayName", "owner", "criticality", "tags"];
+
+function serviceMetadata(name) {
+  let meta = null;
+  for (const [pattern, m] of Object.entries(config.services)) {
+    if (!matchesPattern(name, pattern)) continue;
+    const tags = [...new Set([...((meta && meta.tags) || []), ...(m.tags || [])])];
+    meta = { ...meta, ...m, tags };
+  }
+  return meta;
+}
+
+// Sets (or clears, after a config change) the config.services metadata on each service
+function applyMetadata(services) {
+  return services.map((s) => {
+    const rest = { ...s };
+    METADATA_FIELDS.forEach((f) => delete rest[f]);
+    const meta = serviceMetadata(s.service);
+    return meta ? { ...rest, ...meta } : rest;
+  });
 }
 
 // ---------- Enumerators ----------
-async function listSystemdServices() {
-  const cmd =
-    "systemctl show --type=service --all --no-page --property=Id,Description,LoadState,ActiveState,SubState,UnitFileState,FragmentPath";
-  const { stdout } = await execCmd(cmd);
+const SYSTEMD_PROPERTIES = [
+  "Id", "Description", "LoadState", "ActiveState", "SubState", "UnitFileState", "FragmentPath",
+  "NRestarts", "MainPID", "ExecMainStatus", "ExecMainCode", "Result", "User",
+  "ActiveEnterTimestampMonotonic", "InactiveEnterTimestampMonotonic",
+  "MemoryCurrent", "CPUUsageNSec", "TasksCurrent", "TriggeredBy",
+];
 
-  const sections = stdout.split("\n\n").map((b) => b.trim()).filter(Boolean);
-  const services = [];
-  for (const sec of sections) {
-    const lines = sec.split("\n");
+const SYSTEMD_TIMER_PROPERTIES = [
+  "Id", "Description", "LoadState", "ActiveState", "SubState", "UnitFileState", "FragmentPath",
+  "Unit", "Result", "LastTriggerUSecMonotonic", "NextElapseUSecRealtime", "ActiveEnterTimestampMonotonic",
+];
+
+// systemd prints unset numbers as "[not set]" or UINT64_MAX
+function systemdNumber(v) {
+  if (v === undefined || v === "" || v === "[not set]" || v === "18446744073709551615") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// CLOCK_MONOTONIC microseconds (what systemd's *Monotonic properties use) -> ISO time.
+// Avoids parsing the localized wall-clock strings of the plain *Timestamp properties.
+function systemdMonotonicToIso(v) {
+  const us = systemdNumber(v);
+  if (!us) return null;
+  const nowUs = Number(process.hrtime.bigint() / 1000n);
+  return new Date(Date.now() - (nowUs - us) / 1000).toISOString();
+}
+
+// "Wed 2024-05-15 03:00:00 UTC" (systemctl is run with TZ=UTC) -> ISO; null for "n/a" etc.
+function systemdUtcTimestamp(v) {
+  const m = /(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) UTC$/.exec(v || "");
+  return m ? new Date(`${m[1]}T${m[2]}Z`).toISOString() : null;
+}
+
+// `systemctl show` output: one block of Key=Value lines per unit
+function parseSystemdShow(stdout) {
+  return stdout.split("\n\n").map((b) => b.trim()).filter(Boolean).map((sec) => {
     const obj = {};
-    for (const line of lines) {
+    for (const line of sec.split("\n")) {
       const idx = line.indexOf("=");
-      if (idx > 0) {
-        const k = line.slice(0, idx);
-        const v = line.slice(idx + 1);
-        obj[k] = v;
-      }
+      if (idx > 0) obj[line.slice(0, idx)] = line.slice(idx + 1);
     }
-    if (!obj.Id || !obj.Id.endsWith(".service")) continue;
+    return obj;
+  });
+}
+
+// siginfo si_code values systemd reports in ExecMainCode
+const EXEC_MAIN_CODES = { 1: "exited", 2: "killed", 3: "dumped" };
 
-    if (config.include.length && !config.include.includes(obj.Id)) continue;
-    if (config.exclude.includes(obj.Id)) continue;
+// All services, or just the given units (used by the change watcher)
+async function listSystemdServices(units) {
+  const target = units && units.length
+    ? units.map((u) => `'${u}'`).join(" ")
+    : "--type=service --all";
+  const cmd = `systemctl show ${target} --no-page --property=${SYSTEMD_PROPERTIES.join(",")}`;
+  const r = await execCmd(cmd);
+  if (r.code !== 0) throw commandError("systemctl show", r);
+
+  const services = [];
+  for (const obj of parseSystemdShow(r.stdout)) {
+    if (!obj.Id || !obj.Id.endsWith(".service")) continue;
 
     const name = obj.Id;
+    // Run by a timer: exiting is expected, only a failed last run is unhealthy
+    const triggeredBy = (obj.TriggeredBy || "").split(/\s+/).filter(Boolean);
+    const scheduled = triggeredBy.some((u) => u.endsWith(".timer"));
     services.push({
       id: mkId(name),
       gid: mkGlobalId(name),
@@ -288,327 +935,3647 @@ async function listSystemdServices() {
       sub: obj.SubState || "unknown",
       unitFileState: obj.UnitFileState || "unknown",
       path: obj.FragmentPath || "",
-      healthy:
-        (obj.ActiveState === "active" && obj.SubState === "running") ||
-        obj.ActiveState === "active",
+      healthy: scheduled
+        ? obj.ActiveState !== "failed" && (!obj.Result || obj.Result === "success")
+        : (obj.ActiveState === "active" && obj.SubState === "running") || obj.ActiveState === "active",
       updatedAt: new Date().toISOString(),
       platform: "linux",
+      restarts: systemdNumber(obj.NRestarts),
+      mainPid: systemdNumber(obj.MainPID) || null,
+      execMainStatus: systemdNumber(obj.ExecMainStatus),
+      execMainCode: EXEC_MAIN_CODES[obj.ExecMainCode] || null,
+      result: obj.Result || null,
+      activeEnterTimestamp: systemdMonotonicToIso(obj.ActiveEnterTimestampMonotonic),
+      inactiveEnterTimestamp: systemdMonotonicToIso(obj.InactiveEnterTimestampMonotonic),
+      memoryBytes: systemdNumber(obj.MemoryCurrent),
+      cpuUsageNs: systemdNumber(obj.CPUUsageNSec),
+      tasks: systemdNumber(obj.TasksCurrent),
+      user: obj.User || null,
+      triggeredBy: triggeredBy.length ? triggeredBy : null,
     });
   }
-  return services.sort((a, b) => a.service.localeCompare(b.service));
+  return services.filter(unitSelected).sort((a, b) => a.service.localeCompare(b.service));
 }
 
-async function listLaunchdServices() {
-  const { stdout } = await execCmd("launchctl list || true");
-  const lines = stdout.split("\n").slice(1);
-  const services = [];
-
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    const parts = line.trim().split(/\s+/);
-    const label = parts[parts.length - 1];
-    if (!label) continue;
+// Timers, with the last result of the unit each one triggers (from `services`)
+async function listSystemdTimers(services) {
+  const cmd = `TZ=UTC systemctl show --type=timer --all --no-page --property=${SYSTEMD_TIMER_PROPERTIES.join(",")}`;
+  const r = await execCmd(cmd);
+  if (r.code !== 0) throw commandError("systemctl show --type=timer", r);
+  const byName = new Map(services.map((s) => [s.service, s]));
+  const timers = parseSystemdShow(r.stdout)
+    .filter((obj) => obj.Id && obj.Id.endsWith(".timer"))
+    .map((obj) => {
+      const name = obj.Id;
+      const target = byName.get(obj.Unit) || null;
+      const lastFailed = !!target && (target.active === "failed" || (!!target.result && target.result !== "success"));
+      const lastTriggerAt = systemdMonotonicToIso(obj.LastTriggerUSecMonotonic);
+      const timer = {
+        id: mkId(name),
+        gid: mkGlobalId(name),
+        systemId: SYSTEM_ID,
+        host: HOSTNAME,
+        service: name,
+        description: obj.Description || "",
+        load: obj.LoadState || "unknown",
+        active: obj.ActiveState || "unknown",
+        sub: obj.SubState || "unknown", // waiting | running | elapsed
+        unitFileState: obj.UnitFileState || "unknown",
+        path: obj.FragmentPath || "",
+        healthy: obj.ActiveState === "active" && (!obj.Result || obj.Result === "success") && !lastFailed,
+        updatedAt: new Date().toISOString(),
+        platform: "linux",
+        kind: "timer",
+        unit: obj.Unit || null,
+        lastTriggerAt,
+        nextElapseAt: systemdUtcTimestamp(obj.NextElapseUSecRealtime),
+        lastResult: target ? target.result : null,
+        lastExitStatus: target ? target.execMainStatus : null,
+      };
+      return withMaxAge(timer, lastTriggerAt, systemdMonotonicToIso(obj.ActiveEnterTimestampMonotonic));
+    });
+  return timers.filter(unitSelected).sort((a, b) => a.service.localeCompare(b.service));
+}
 
-    const pidRaw = parts[0];
-    const statusRaw = parts[1];
-    const running = pidRaw && pidRaw !== "-" && /^\d+$/.test(pidRaw);
-    const statusNum = Number(statusRaw);
-    const healthy = running && (isNaN(statusNum) || statusNum === 0);
+async function listSystemdUnits() {
+  const services = await listSystemdServices();
+  return [...services, ...(await listSystemdTimers(services))];
+}
 
-    if (config.include.length && !config.include.includes(label)) continue;
-    if (config.exclude.includes(label)) continue;
+// ---------- launchd (`launchctl print`) ----------
+// `launchctl print <domain>` lists the domain's jobs ("PID STATUS LABEL" rows
+// under `services = {}`); `print-disabled <domain>` has the disabled overrides;
+// `launchctl print <domain>/<label>` has a job's plist path, program, properties
+// and last exit. The format is meant for humans and shifts between macOS
+// releases, so the parser is lenient: nested "key = {" / "key => {" blocks,
+// "key = value" / "key => value" pairs, anything else kept in `_lines`. The
+// parse functions are pure and exported for the fixtures in test/launchd.test.js.
+const LAUNCHD_DOMAIN_RE = /^(system|gui\/\d+|user\/\d+)$/;
 
-    services.push({
-      id: mkId(label),
-      gid: mkGlobalId(label),
-      systemId: SYSTEM_ID,
-      host: HOSTNAME,
-      service: label,
-      description: "",
-      load: running ? "loaded" : "not-loaded",
-      active: running ? "active" : "inactive",
-      sub: running ? "running" : "stopped",
-      unitFileState: "unknown",
-      path: "",
-      healthy,
-      updatedAt: new Date().toISOString(),
-      platform: "darwin",
-    });
+function parseLaunchctlPrint(text) {
+  const root = { _lines: [] };
+  const stack = [root];
+  for (const raw of String(text).split("\n")) {
+    const line = raw.trim();
+    if (!line) continue;
+    const top = stack[stack.length - 1];
+    if (line === "}") {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+    const unquote = (k) => k.replace(/^"(.*)"$/, "$1");
+    const open = /^(.+?)\s+=>?\s+\{$/.exec(line);
+    if (open) {
+      const block = { _lines: [] };
+      top[unquote(open[1])] = block;
+      stack.push(block);
+      continue;
+    }
+    const pair = /^(.+?)\s+=>?\s+(.*)$/.exec(line);
+    if (pair) top[unquote(pair[1])] = pair[2];
+    else top._lines.push(line);
   }
-  return services.sort((a, b) => a.service.localeCompare(b.service));
+  return root;
 }
 
-async function listDockerContainers() {
-  if (!config.docker.enabled) return [];
-  const { stdout } = await execCmd(
-    `${config.docker.binary} ps --format "{{.ID}}|{{.Names}}|{{.Status}}"`
-  );
-  const lines = stdout.trim().split("\n").filter(Boolean);
-  return lines.map((l) => {
-    const [id, name, status] = l.split("|");
-    const up = /Up\s/i.test(status);
-    return {
-      id: mkId(`docker:${name}`),
-      gid: mkGlobalId(`docker:${name}`),
-      systemId: SYSTEM_ID,
-      host: HOSTNAME,
-      service: `docker:${name}`,
-      description: `Container ${id}`,
-      load: "loaded",
-      active: up ? "active" : "inactive",
-      sub: status,
-      unitFileState: "container",
-      path: "",
-      healthy: up,
-      updatedAt: new Date().toISOString(),
-      platform: "docker",
-    };
-  });
+// The single "<name> = { ... }" block most print outputs are wrapped in
+function launchctlBody(root) {
+  const keys = Object.keys(root).filter((k) => k !== "_lines");
+  return keys.length === 1 && isPlainObject(root[keys[0]]) ? root[keys[0]] : root;
 }
 
-// ---------- Snapshot + Cache ----------
-let lastSnapshot = { services: [], takenAt: null };
-
-async function takeSnapshot() {
-  const parts = [];
-  if (isLinux) parts.push(listSystemdServices());
-  if (isMac) parts.push(listLaunchdServices());
-  if (config.docker.enabled) parts.push(listDockerContainers());
-  const combined = (await Promise.all(parts)).flat();
-  lastSnapshot = {
-    services: combined,
-    takenAt: new Date().toISOString(),
-  };
-  return lastSnapshot;
+function launchdDisabledMap(block) {
+  const disabled = {};
+  for (const [label, v] of Object.entries(block || {})) {
+    if (label !== "_lines") disabled[label] = v === "disabled" || v === "true";
+  }
+  return disabled;
 }
 
-// ---------- WS Client (two-way) ----------
-let ws = null;
-let wsTimerHeartbeat = null;
-let wsTimerReconnect = null;
-let lastPongAt = 0;
-let reconnectAttempts = 0;
+// `launchctl print <domain>` or `print-disabled <domain>` -> { jobs, disabled }
+function parseLaunchdDomain(text) {
+  const root = parseLaunchctlPrint(text);
+  const body = launchctlBody(root);
+  const jobs = ((body.services || {})._lines || [])
+    .map((line) => {
+      const m = /^(\d+|-)\s+(-?\d+|-)\s+(\S+)$/.exec(line);
+      if (!m) return null;
+      return {
+        label: m[3],
+        pid: /^\d+$/.test(m[1]) && Number(m[1]) > 0 ? Number(m[1]) : null,
+        lastExitStatus: m[2] === "-" ? null : Number(m[2]),
+      };
+    })
+    .filter(Boolean);
+  const disabled = launchdDisabledMap(body["disabled services"]);
+  return { jobs, disabled };
+}
 
-function wsLog(...args) {
-  console.log("[ws]", ...args);
+// `launchctl print <domain>/<label>` -> job details, or null if unrecognised
+function parseLaunchdJob(text) {
+  const root = parseLaunchctlPrint(text);
+  const label = Object.keys(root).find((k) => k !== "_lines" && isPlainObject(root[k]));
+  if (!label) return null;
+  const o = root[label];
+  const int = (v) => {
+    const m = /^(-?\d+)/.exec(v || "");
+    return m ? Number(m[1]) : null;
+  };
+  const properties = (o.properties || "").split("|").map((p) => p.trim()).filter(Boolean);
+  const args = o.arguments ? o.arguments._lines : [];
+  const triggers = Object.entries(o["event triggers"] || {})
+    .filter(([k, v]) => k !== "_lines" && isPlainObject(v));
+  // StartCalendarInterval entries: { Minute: 0, Hour: 3 }, absent keys are wildcards
+  const calendar = triggers
+    .filter(([, v]) => /calendarinterval/.test(v.stream || "") && isPlainObject(v.descriptor))
+    .map(([, v]) => {
+      const entry = {};
+      for (const [k, n] of Object.entries(v.descriptor)) if (k !== "_lines" && /^\d+$/.test(n)) entry[k] = Number(n);
+      return entry;
+    });
+  return {
+    label,
+    path: o.path || null,
+    type: o.type || null, // LaunchDaemon | LaunchAgent | ...
+    state: o.state || null, // running | not running | waiting | ...
+    program: o.program || args[0] || null,
+    arguments: args,
+    pid: int(o.pid),
+    runs: int(o.runs),
+    lastExitCode: int(o["last exit code"]), // null for "(never exited)"
+    lastSignal: o["last terminating signal"] || null,
+    keepAlive: properties.includes("keepalive"),
+    runAtLoad: properties.includes("runatload"),
+    eventStreams: [...new Set(triggers.map(([, v]) => v.stream).filter(Boolean))],
+    calendar,
+    stdoutPath: o["stdout path"] || null,
+    stderrPath: o["stderr path"] || null,
+  };
 }
 
-function wsSend(obj) {
-  try {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(obj));
-    }
-  }catch (e) {}
+// KeepAlive jobs are daemons: not running is a failure. Everything else is
+// started on demand (RunAtLoad one-shots, sockets, calendar and other event
+// triggers), so idle is fine unless its last run exited non-zero or by signal.
+// Calendar jobs are "calendar" (on-demand, plus the schedule and next run).
+function launchdJobToService(domain, entry, job, disabled) {
+  const d = job || {};
+  const label = entry.label;
+  const pid = entry.pid || d.pid || null;
+  const running = !!pid;
+  const calendar = d.calendar && d.calendar.length ? d.calendar : null;
+  const kind = d.keepAlive ? "daemon" : calendar ? "calendar" : "on-demand";
+  const lastExit = entry.lastExitStatus != null ? entry.lastExitStatus : d.lastExitCode;
+  const crashed = (lastExit != null && lastExit !== 0) || !!d.lastSignal;
+  // Idle calendar jobs are fine; whether one missed its run is up to jobs.maxAgeSec
+  const healthy = running || (kind !== "daemon" && !crashed);
+  return {
+    id: mkId(label),
+    gid: mkGlobalId(label),
+    systemId: SYSTEM_ID,
+    host: HOSTNAME,
+    service: label,
+    description: d.program || "",
+    load: "loaded",
+    active: running ? "active" : crashed ? "failed" : "inactive",
+    sub: running ? "running" : crashed ? "exited" : kind === "daemon" ? "stopped" : "idle",
+    unitFileState: disabled ? "disabled" : "enabled",
+    path: d.path || "",
+    healthy,
+    updatedAt: new Date().toISOString(),
+    platform: "darwin",
+    launchdDomain: domain,
+    kind,
+    disabled: !!disabled,
+    program: d.program || null,
+    keepAlive: !!d.keepAlive,
+    runAtLoad: !!d.runAtLoad,
+    mainPid: pid,
+    runs: d.runs != null ? d.runs : null,
+    // Relaunches by KeepAlive; on-demand runs are not restarts (they'd read as flapping)
+    restarts: kind === "daemon" && d.runs != null ? Math.max(0, d.runs - 1) : null,
+    lastExitStatus: lastExit != null ? lastExit : null,
+    lastSignal: d.lastSignal || null,
+    stdoutPath: d.stdoutPath || null,
+    calendar,
+    nextRunAt: calendar ? nextCalendarRun(calendar) : null,
+  };
 }
 
-function scheduleReconnect() {
-  if (wsTimerReconnect) return;
-  const base = Math.max(100, config.ws.reconnectBaseMs || 1000);
-  const max = Math.max(base, config.ws.reconnectMaxMs || 30000);
-  const jitter = Math.floor(Math.random() * 200);
-  const backoff = Math.min(max, Math.floor(base * Math.pow(2, reconnectAttempts)));
-  const delay = backoff + jitter;
-  wsLog(`reconnecting in ${delay}ms (attempt ${reconnectAttempts + 1})`);
-  wsTimerReconnect = setTimeout(() => {
-    wsTimerReconnect = null;
-    connectWS();
-  }, delay);
+function launchdDomains() {
+  if (config.launchd.domains) return config.launchd.domains;
+  const uid = process.getuid();
+  return uid === 0 ? ["system"] : ["system", `gui/${uid}`];
 }
 
-async function handleMessage(msg) {
-  let data = null;
-  try {
-    data = JSON.parse(msg);
-  } catch (_) {
-    return;
-  }
-  const { type, id } = data || {};
+const launchdDomainWarned = new Set();
+const launchdDetails = new Map(); // "<domain>/<label>" -> { pid, lastExitStatus, readAt, job }
 
-  switch (type) {
-    case "ping":
-      wsSend({ type: "pong", ts: Date.now() });
-      return;
+// `launchctl print <domain>/<label>` is one process per job: reuse the last
+// answer while the domain listing shows the same PID and exit status
+async function launchdJobDetails(domain, entry) {
+  const key = `${domain}/${entry.label}`;
+  const cached = launchdDetails.get(key);
+  const maxAgeMs = Math.max(0, config.launchd.detailsMaxAgeSec) * 1000;
+  if (
+    cached &&
+    cached.pid === entry.pid &&
+    cached.lastExitStatus === entry.lastExitStatus &&
+    Date.now() - cached.readAt < maxAgeMs
+  ) {
+    return cached.job;
+  }
+  const jr = await execCmd(`launchctl print '${key}'`);
+  const job = jr.code === 0 ? parseLaunchdJob(jr.stdout) : null;
+  if (job) launchdDetails.set(key, { pid: entry.pid, lastExitStatus: entry.lastExitStatus, readAt: Date.now(), job });
+  else launchdDetails.delete(key);
+  return job;
+}
 
-    case "getSnapshot": {
-      const snap = await takeSnapshot();
-      wsSend({
-        type: "snapshot",
-        id, // echo request id if provided
-        systemId: SYSTEM_ID,
-        host: HOSTNAME,
-        takenAt: snap.takenAt,
-        services: snap.services,
-        agent: {
-          version: "2.0.0-ws",
-          platform: process.platform,
-          node: process.version,
-        },
-      });
-      return;
+// A label in several domains is reported once, from the first domain listed
+async function listLaunchdServices() {
+  const services = [];
+  const seen = new Set();
+  const failed = [];
+  for (const domain of launchdDomains()) {
+    if (!LAUNCHD_DOMAIN_RE.test(domain)) throw new Error(`launchd.domains: invalid domain "${domain}"`);
+    const r = await execCmd(`launchctl print ${domain}`);
+    if (r.code !== 0) {
+      // e.g. gui/<uid> while that user is logged out
+      failed.push(commandError(`launchctl print ${domain}`, r));
+      if (!launchdDomainWarned.has(domain)) console.warn(`[svc-agent] ${failed[failed.length - 1].message}`);
+      launchdDomainWarned.add(domain);
+      continue;
     }
+    launchdDomainWarned.delete(domain);
+    const { jobs, disabled } = parseLaunchdDomain(r.stdout);
+    const overrides = await execCmd(`launchctl print-disabled ${domain}`);
+    if (overrides.code === 0) Object.assign(disabled, parseLaunchdDomain(overrides.stdout).disabled);
 
-    case "refresh": {
-      const snap = await takeSnapshot();
-      wsSend({ type: "ok", id, takenAt: snap.takenAt, count: snap.services.length });
-      // Optionally also stream the snapshot back:
-      wsSend({
-        type: "snapshot",
-        systemId: SYSTEM_ID,
-        host: HOSTNAME,
-        takenAt: snap.takenAt,
-        services: snap.services,
-        agent: {
-          version: "2.0.0-ws",
-          platform: process.platform,
-          node: process.version,
-        },
-      });
-      return;
+    const wanted = jobs.filter((j) => !seen.has(j.label) && SAFE_SERVICE_NAME.test(j.label) && nameSelected(j.label));
+    const details = await Promise.all(wanted.map((j) => launchdJobDetails(domain, j)));
+    const listed = new Set(wanted.map((j) => `${domain}/${j.label}`));
+    for (const key of launchdDetails.keys()) {
+      if (key.startsWith(`${domain}/`) && !listed.has(key)) launchdDetails.delete(key);
     }
+    wanted.forEach((j, i) => {
+      seen.add(j.label);
+      services.push(observeLaunchdRun(launchdJobToService(domain, j, details[i], !!disabled[j.label])));
+    });
+  }
+  if (failed.length && failed.length === launchdDomains().length) throw failed[0];
+  return services.filter(unitSelected).sort((a, b) => a.service.localeCompare(b.service));
+}
 
-    case "runInstall": {
-        const args = Array.isArray(data.args) ? data.args : [];
-        const restart = !!data.restart;
-        const env = (data.env && typeof data.env === "object") ? data.env : {};
-        try {
-          const res = await runLocalInstallSh(args, env);
-          wsSend({ type: "installResult", id, ok: true, stdout: res.stdout });
-          if (restart) setTimeout(() => { restartSelf(); }, 500);
-        } catch (e) {
-          wsSend({ type: "installResult", id, ok: false, error: e.message || String(e) });
-        }
-        return;
-      }
+// ---------- Scheduled jobs + heartbeats ----------
+// Timers, launchd calendar jobs and heartbeats carry lastRunAt; with a matching
+// jobs.maxAgeSec entry a job whose last run (or, before the first one, its
+// appearance) is older than that is `missed` and unhealthy.
+const HEARTBEAT_NAME = /^[A-Za-z0-9._-]+$/;
+const AGENT_STARTED_AT = new Date().toISOString();
 
-    default:
-      // unknown / ignored
-      return;
+function jobMaxAgeSec(name) {
+  if (name.startsWith("heartbeat:")) {
+    const hb = config.jobs.heartbeats[name.slice("heartbeat:".length)];
+    if (hb && hb.maxAgeSec != null) return hb.maxAgeSec;
   }
+  const hit = Object.entries(config.jobs.maxAgeSec).find(([pattern]) => matchesPattern(name, pattern));
+  return hit ? hit[1] : null;
 }
 
-function startHeartbeat() {
-  stopHeartbeat();
-  const interval = Math.max(5, config.ws.heartbeatSec || 25) * 1000;
-  wsTimerHeartbeat = setInterval(() => {
-    if (!ws || ws.readyState !== WebSocket.OPEN) return;
-    // Use WebSocket-level ping frame; ws will auto emit 'pong'
-    try {
-      ws.ping();
-    } catch (_) {}
-    // Detect stale
-    const now = Date.now();
-    if (lastPongAt && now - lastPongAt > interval * 2) {
-      wsLog("heartbeat timeout; closing socket");
-      try { ws.terminate(); } catch (_) {}
-    }
-  }, Math.floor((config.ws.heartbeatSec || 25) * 1000));
+function withMaxAge(svc, lastRunAt, since) {
+  const maxAgeSec = jobMaxAgeSec(svc.service);
+  const ref = Date.parse(lastRunAt || since || AGENT_STARTED_AT);
+  const missed = maxAgeSec != null && Date.now() - ref > maxAgeSec * 1000;
+  return { ...svc, healthy: svc.healthy && !missed, lastRunAt: lastRunAt || null, maxAgeSec, missed };
 }
 
-function stopHeartbeat() {
-  if (wsTimerHeartbeat) {
-    clearInterval(wsTimerHeartbeat);
-    wsTimerHeartbeat = null;
+// Next time one of the StartCalendarInterval entries fires, in local time like
+// launchd. Absent keys are wildcards; Weekday 0 and 7 are both Sunday.
+function nextCalendarRun(entries, from = new Date()) {
+  const range = (n) => Array.from({ length: n }, (_, i) => i);
+  let best = null;
+  for (const c of entries) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    // Four years covers "Month 2, Day 29"
+    for (let i = 0; i < 366 * 4 && (!best || day < best); i++, day.setDate(day.getDate() + 1)) {
+      if (c.Month != null && day.getMonth() + 1 !== c.Month) continue;
+      if (c.Day != null && day.getDate() !== c.Day) continue;
+      if (c.Weekday != null && day.getDay() !== c.Weekday % 7) continue;
+      let found = null;
+      for (const h of c.Hour != null ? [c.Hour] : range(24)) {
+        for (const m of c.Minute != null ? [c.Minute] : range(60)) {
+          const t = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m);
+          if (t > from) { found = t; break; }
+        }
+        if (found) break;
+      }
+      if (found) {
+        if (!best || found < best) best = found;
+        break;
+      }
+    }
   }
+  return best ? best.toISOString() : null;
 }
 
-function connectWS() {
-  if (!config.ws.url) {
-    console.error("[svc-agent] No ws.url configured; cannot connect.");
-    return;
-  }
-
-  const headers = {};
-  if (config.ws.token) headers["authorization"] = `Bearer ${config.ws.token}`;
-
-  const url = new URL(config.ws.url);
-  // Add identity hints in query (server can cross-check against headers)
-  url.searchParams.set("systemId", SYSTEM_ID);
-  url.searchParams.set("host", HOSTNAME);
+// launchd doesn't report when a job last ran, only a run count: a run is
+// recorded when that count goes up (or the job is seen running)
+const launchdRuns = new Map(); // label -> { runs, lastRunAt, firstSeen }
 
-  const wsOptions = {
-    headers,
-    perMessageDeflate: true,
-    rejectUnauthorized: !config.ws.insecureSkipTlsVerify,
-  };
+function observeLaunchdRun(svc) {
+  if (svc.kind === "daemon") return svc;
+  const now = new Date().toISOString();
+  const prev = launchdRuns.get(svc.service) || { runs: svc.runs, lastRunAt: null, firstSeen: now };
+  const ran = svc.mainPid || (svc.runs != null && prev.runs != null && svc.runs > prev.runs);
+  const next = { runs: svc.runs, lastRunAt: ran ? now : prev.lastRunAt, firstSeen: prev.firstSeen };
+  launchdRuns.set(svc.service, next);
+  return withMaxAge(svc, next.lastRunAt, next.firstSeen);
+}
 
-  ws = new WebSocket(url.toString(), wsOptions);
+function heartbeatDir() {
+  return config.jobs.heartbeatDir || stateFilePath(".heartbeats");
+}
 
-  ws.on("open", async () => {
-    reconnectAttempts = 0;
-    lastPongAt = Date.now();
-    wsLog("connected");
-    startHeartbeat();
+// One small JSON file per job, so `svc-agent ping` works without the agent's API
+function recordHeartbeat(job, { status = "ok", message = "" } = {}) {
+  if (!HEARTBEAT_NAME.test(job || "")) throw new Error(`invalid job name "${job}" (letters, digits, . _ -)`);
+  if (!["ok", "fail"].includes(status)) throw new Error(`invalid status "${status}" (ok or fail)`);
+  const dir = heartbeatDir();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o755 });
+  const record = { job, at: new Date().toISOString(), status, message: String(message || "").slice(0, 500) };
+  // World-readable: the pinging cron user and the agent's user usually differ
+  writeFileAtomic(path.join(dir, `${job}.json`), JSON.stringify(record) + "\n", 0o644);
+  return record;
+}
 
-    // Say hello
-    wsSend({
-      type: "hello",
+function readHeartbeats() {
+  const records = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(heartbeatDir()).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  for (const f of files) {
+    try {
+      const rec = JSON.parse(fs.readFileSync(path.join(heartbeatDir(), f), "utf8"));
+      if (rec && HEARTBEAT_NAME.test(rec.job || "")) records.set(rec.job, rec);
+    } catch (_) {} // half-written or foreign file
+  }
+  return records;
+}
+
+// Configured heartbeats (pinged or not) plus any job that has pinged
+async function listHeartbeats() {
+  const records = readHeartbeats();
+  const names = [...new Set([...Object.keys(config.jobs.heartbeats), ...records.keys()])].filter((n) => HEARTBEAT_NAME.test(n));
+  return names.sort().map((job) => {
+    const rec = records.get(job) || null;
+    const failed = !!rec && rec.status === "fail";
+    const name = `heartbeat:${job}`;
+    const svc = {
+      id: mkId(name),
+      gid: mkGlobalId(name),
       systemId: SYSTEM_ID,
       host: HOSTNAME,
-      caps: {
-        docker: !!config.docker.enabled,
-        http: !!config.http.enabled,
-        platform: process.platform,
-      },
-      agent: { version: "2.0.0-ws", node: process.version },
-      ts: Date.now(),
+      service: name,
+      description: (config.jobs.heartbeats[job] || {}).description || "",
+      load: "loaded",
+      active: !rec ? "inactive" : failed ? "failed" : "active",
+      sub: !rec ? "waiting" : failed ? "failed" : "ok",
+      unitFileState: "heartbeat",
+      path: "",
+      healthy: !failed,
+      updatedAt: new Date().toISOString(),
+      platform: "heartbeat",
+      kind: "heartbeat",
+      lastStatus: rec ? rec.status : null,
+      message: rec ? rec.message || null : null,
+    };
+    return withMaxAge(svc, rec ? rec.at : null, AGENT_STARTED_AT);
+  });
+}
+
+const heartbeatsConfigured = () =>
+  Object.keys(config.jobs.heartbeats).length > 0 || fs.existsSync(heartbeatDir());
+
+// `svc-agent ping <job> [--fail] [--message <text>]`
+function cliPing(args) {
+  const job = args.find((a, i) => !a.startsWith("--") && args[i - 1] !== "--message");
+  const mi = args.indexOf("--message");
+  try {
+    const rec = recordHeartbeat(job, {
+      status: args.includes("--fail") ? "fail" : "ok",
+      message: mi >= 0 ? args[mi + 1] : "",
+    });
+    console.log(`[svc-agent] ping ${rec.job} (${rec.status}) recorded in ${heartbeatDir()}`);
+    return 0;
+  } catch (e) {
+    console.error(`[svc-agent] ping failed: ${e.message}`);
+    if (e.code === "EACCES") console.error("[svc-agent] no write access; run as the agent's user or use POST /ping/<job>");
+    return 1;
+  }
+}
+
+// ---------- systemd change watcher ----------
+// Unit names reported by the watcher are batched and re-read with
+// `systemctl show <units>`, then merged into the cached snapshot.
+let systemdWatcher = null;
+let systemdWatchRetry = null;
+let systemdWatchFailures = 0; // consecutive exits within a minute of starting
+let pendingUnits = new Set();
+let pendingUnitsTimer = null;
+
+async function refreshSystemdUnits(units) {
+  if (!lastSnapshot.takenAt) return;
+  const fresh = await listSystemdServices(units);
+  const byName = new Map(fresh.map((s) => [s.service, s]));
+  // A re-read unit missing from `fresh` no longer passes the filters (e.g. filters.active)
+  const services = lastSnapshot.services
+    .filter((s) => byName.has(s.service) || !units.includes(s.service))
+    .map((s) => byName.get(s.service) || s);
+  const known = new Set(lastSnapshot.services.map((s) => s.service));
+  for (const s of fresh) if (!known.has(s.service)) services.push(s);
+  // So a later failed full listing falls back to these states, not older ones
+  if (collectorServices.has("systemd")) collectorServices.set("systemd", services.filter((s) => s.platform === "linux"));
+  commitSnapshot(applyChecks(services));
+}
+
+function queueUnitRefresh(unit) {
+  if (!unit || !unit.endsWith(".service")) return;
+  pendingUnits.add(unit);
+  if (pendingUnitsTimer) return;
+  pendingUnitsTimer = setTimeout(() => {
+    const units = [...pendingUnits];
+    pendingUnits = new Set();
+    pendingUnitsTimer = null;
+    refreshSystemdUnits(units).catch((e) => console.warn("[svc-agent] unit refresh failed:", e.message));
+  }, 300);
+}
+
+function startSystemdWatch() {
+  stopSystemdWatch();
+  let mode = config.systemd.watch;
+  if (!isLinux || !mode || mode === "off") return;
+  if (!fs.existsSync("/run/systemd/system")) return; // systemd is not PID 1 (container, OpenRC, ...)
+  if (mode === "dbus") {
+    console.warn('[svc-agent] systemd.watch "dbus" is no longer supported; using "journal"');
+    mode = "journal";
+  }
+
+  let child;
+  let onLine;
+  if (mode === "journal") {
+    child = spawn("journalctl", ["-f", "-o", "json", "-n", "0", "_PID=1"]);
+    onLine = (line) => {
+      try {
+        queueUnitRefresh(JSON.parse(line).UNIT);
+      } catch (_) {}
+    };
+  } else {
+    console.warn(`[svc-agent] unknown systemd.watch mode "${mode}"; polling only`);
+    return;
+  }
+
+  let buf = "";
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (d) => {
+    buf += d;
+    const lines = buf.split("\n");
+    buf = lines.pop();
+    lines.forEach(onLine);
+  });
+  child.stderr.resume();
+  const startedAt = Date.now();
+  let spawnError = null;
+  child.on("error", (e) => {
+    spawnError = e;
+  });
+  child.on("close", (code) => {
+    if (systemdWatcher !== child) return; // stopped on purpose
+    systemdWatcher = null;
+    if (spawnError && spawnError.code === "ENOENT") {
+      console.warn(`[svc-agent] systemd watch (${mode}): journalctl not found; polling only`);
+      return;
+    }
+    systemdWatchFailures = Date.now() - startedAt < 60000 ? systemdWatchFailures + 1 : 1;
+    const delaySec = Math.min(600, 10 * 2 ** (systemdWatchFailures - 1));
+    const why = spawnError ? spawnError.message : `exited (${code})`;
+    if (systemdWatchFailures === 1) {
+      console.warn(`[svc-agent] systemd watch (${mode}) ${why}; retrying in ${delaySec}s`);
+    } else if (systemdWatchFailures === 3) {
+      console.warn(`[svc-agent] systemd watch (${mode}) keeps failing (${why}); retrying quietly, backing off to 10 min`);
+    }
+    systemdWatchRetry = setTimeout(() => {
+      systemdWatchRetry = null;
+      startSystemdWatch();
+    }, delaySec * 1000);
+  });
+  systemdWatcher = child;
+}
+
+function stopSystemdWatch() {
+  clearTimeout(systemdWatchRetry);
+  systemdWatchRetry = null;
+  if (systemdWatcher) {
+    const child = systemdWatcher;
+    systemdWatcher = null;
+    try { child.kill(); } catch (_) {}
+  }
+}
+
+// ---------- Docker ----------
+function dockerEndpoint() {
+  const h = config.docker.host || "unix:///var/run/docker.sock";
+  if (h.startsWith("unix://")) return { socketPath: h.slice("unix://".length) };
+  const u = new URL(h.replace(/^tcp:/, "http:"));
+  return { host: u.hostname, port: Number(u.port || 2375) };
+}
+
+// One Engine API call; resolves with the parsed JSON body (or null if empty)
+function dockerRequest(method, apiPath, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ ...dockerEndpoint(), method, path: apiPath, timeout: timeoutMs }, (res) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (d) => { body += d; });
+      res.on("end", () => {
+        let parsed = null;
+        try { parsed = body ? JSON.parse(body) : null; } catch (_) {}
+        if (res.statusCode >= 400) {
+          const detail = (parsed && parsed.message) || body.trim() || res.statusMessage;
+          return reject(new Error(`docker ${method} ${apiPath}: ${res.statusCode} ${detail}`));
+        }
+        resolve(parsed);
+      });
+    });
+    req.on("timeout", () => req.destroy(new Error(`docker ${method} ${apiPath}: timeout`)));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+// Docker reports "never" as the zero time
+const dockerTime = (t) => (t && !t.startsWith("0001-") ? t : null);
+
+function dockerContainerToService(c, info) {
+  const name = ((c.Names && c.Names[0]) || c.Id.slice(0, 12)).replace(/^\//, "");
+  const state = (info && info.State) || { Status: c.State };
+  const health = state.Health ? state.Health.Status : "none"; // starting | healthy | unhealthy | none
+  const running = state.Status === "running";
+  const labels = c.Labels || {};
+  const failed = state.Status === "dead" || (state.Status === "exited" && state.ExitCode !== 0);
+  return {
+    id: mkId(`docker:${name}`),
+    gid: mkGlobalId(`docker:${name}`),
+    systemId: SYSTEM_ID,
+    host: HOSTNAME,
+    service: `docker:${name}`,
+    description: `Container ${c.Id.slice(0, 12)} (${c.Image})`,
+    load: "loaded",
+    active: running ? "active" : failed ? "failed" : "inactive",
+    sub: state.Status, // running | exited | paused | restarting | created | dead
+    unitFileState: "container",
+    path: "",
+    healthy: running && health !== "unhealthy",
+    updatedAt: new Date().toISOString(),
+    platform: "docker",
+    containerId: c.Id,
+    image: c.Image,
+    compose: labels["com.docker.compose.project"]
+      ? { project: labels["com.docker.compose.project"], service: labels["com.docker.compose.service"] || null }
+      : null,
+    health,
+    restartCount: info ? info.RestartCount : null,
+    exitCode: typeof state.ExitCode === "number" ? state.ExitCode : null,
+    startedAt: dockerTime(state.StartedAt),
+    finishedAt: dockerTime(state.FinishedAt),
+    ports: (c.Ports || []).map((p) => ({
+      ip: p.IP || null,
+      privatePort: p.PrivatePort,
+      publicPort: p.PublicPort || null,
+      type: p.Type,
+    })),
+  };
+}
+
+let dockerApiWarned = false;
+
+async function listDockerContainers() {
+  if (!config.docker.enabled) return [];
+  let containers;
+  try {
+    containers = await dockerRequest("GET", "/containers/json?all=1");
+    dockerApiWarned = false;
+  } catch (e) {
+    if (!dockerApiWarned) {
+      console.warn(`[svc-agent] Docker API unavailable (${e.message}); falling back to ${config.docker.binary} CLI`);
+      dockerApiWarned = true;
+    }
+    return listDockerContainersCli();
+  }
+  // Health, restart count and exit details are only in the per-container inspect
+  const inspected = await Promise.all(
+    containers.map((c) => dockerRequest("GET", `/containers/${c.Id}/json`).catch(() => null))
+  );
+  return containers.map((c, i) => dockerContainerToService(c, inspected[i]));
+}
+
+async function listDockerContainersCli() {
+  const r = await execCmd(
+    `${config.docker.binary} ps -a --format "{{.ID}}|{{.Names}}|{{.Status}}|{{.Image}}"`
+  );
+  if (r.code !== 0) throw commandError(`${config.docker.binary} ps`, r);
+  const { stdout } = r;
+  const lines = stdout.trim().split("\n").filter(Boolean);
+  return lines.map((l) => {
+    const [id, name, status, image] = l.split("|");
+    const up = /^Up\s/i.test(status);
+    const exited = /^Exited \((\d+)\)/i.exec(status);
+    const health = /\(unhealthy\)/i.test(status)
+      ? "unhealthy"
+      : /\(health: starting\)/i.test(status)
+        ? "starting"
+        : /\(healthy\)/i.test(status)
+          ? "healthy"
+          : "none";
+    const exitCode = exited ? Number(exited[1]) : null;
+    return {
+      id: mkId(`docker:${name}`),
+      gid: mkGlobalId(`docker:${name}`),
+      systemId: SYSTEM_ID,
+      host: HOSTNAME,
+      service: `docker:${name}`,
+      description: `Container ${id} (${image})`,
+      load: "loaded",
+      active: up ? "active" : exitCode ? "failed" : "inactive",
+      // Not the raw status: "Up 3 hours" would change on every poll
+      sub: up ? (/\(Paused\)/i.test(status) ? "paused" : "running") : exited ? "exited" : status.split(" ")[0].toLowerCase(),
+      unitFileState: "container",
+      path: "",
+      healthy: up && health !== "unhealthy",
+      updatedAt: new Date().toISOString(),
+      platform: "docker",
+      image,
+      health,
+      exitCode,
+    };
+  });
+}
+
+async function dockerContainerAction(containerId, action) {
+  try {
+    await dockerRequest("POST", `/containers/${encodeURIComponent(containerId)}/${action}`, 60000);
+    return { code: 0, stderr: "" };
+  } catch (e) {
+    return { code: 1, stderr: e.message };
+  }
+}
+
+// Re-list containers only and merge them into the cached snapshot
+async function refreshDockerServices() {
+  if (!lastSnapshot.takenAt) return;
+  const containers = await runCollector("docker", "builtin", listDockerContainers);
+  const others = lastSnapshot.services.filter((s) => s.platform !== "docker");
+  commitSnapshot(applyChecks([...others, ...containers]));
+}
+
+// /events stream: container lifecycle changes trigger an immediate (debounced) refresh
+const DOCKER_EVENT_ACTIONS = /^(start|die|stop|kill|restart|pause|unpause|create|destroy|rename|oom|health_status)/;
+let dockerEventsReq = null;
+let dockerEventsRetry = null;
+let dockerEventsDebounce = null;
+
+function startDockerEvents() {
+  stopDockerEvents();
+  if (!config.docker.enabled || !config.docker.events) return;
+
+  const filters = encodeURIComponent(JSON.stringify({ type: ["container"] }));
+  const retry = () => {
+    if (dockerEventsRetry || dockerEventsReq !== req) return; // already retrying, or stopped
+    dockerEventsReq = null;
+    dockerEventsRetry = setTimeout(() => {
+      dockerEventsRetry = null;
+      startDockerEvents();
+    }, 5000);
+  };
+
+  const req = http.request({ ...dockerEndpoint(), method: "GET", path: `/events?filters=${filters}` }, (res) => {
+    if (res.statusCode !== 200) {
+      res.resume();
+      return retry();
+    }
+    let buf = "";
+    res.setEncoding("utf8");
+    res.on("data", (d) => {
+      buf += d;
+      const lines = buf.split("\n");
+      buf = lines.pop();
+      for (const line of lines) {
+        let ev = null;
+        try { ev = JSON.parse(line); } catch (_) { continue; }
+        if (!DOCKER_EVENT_ACTIONS.test(ev.Action || ev.status || "")) continue;
+        clearTimeout(dockerEventsDebounce);
+        dockerEventsDebounce = setTimeout(() => {
+          refreshDockerServices().catch((e) => console.warn("[svc-agent] docker refresh failed:", e.message));
+        }, 500);
+      }
+    });
+    res.on("end", retry);
+    res.on("error", retry);
+  });
+  req.on("error", retry);
+  req.end();
+  dockerEventsReq = req;
+}
+
+function stopDockerEvents() {
+  clearTimeout(dockerEventsRetry);
+  clearTimeout(dockerEventsDebounce);
+  dockerEventsRetry = null;
+  if (dockerEventsReq) {
+    const req = dockerEventsReq;
+    dockerEventsReq = null;
+    req.removeAllListeners("error");
+    req.on("error", () => {});
+    req.destroy();
+  }
+}
+
+// ---------- Host metrics ----------
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+const pct = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+let prevCpuTimes = null;
+function cpuUsagePct() {
+  const now = os.cpus().reduce(
+    (acc, c) => {
+      acc.total += Object.values(c.times).reduce((a, b) => a + b, 0);
+      acc.idle += c.times.idle;
+      return acc;
+    },
+    { total: 0, idle: 0 }
+  );
+  const prev = prevCpuTimes || { total: 0, idle: 0 }; // first sample: average since boot
+  prevCpuTimes = now;
+  const dTotal = now.total - prev.total;
+  return dTotal > 0 ? round((1 - (now.idle - prev.idle) / dTotal) * 100) : null;
+}
+
+async function memoryStats() {
+  if (isLinux) {
+    const info = {};
+    for (const line of fs.readFileSync("/proc/meminfo", "utf8").split("\n")) {
+      const m = /^(\w+):\s+(\d+)/.exec(line);
+      if (m) info[m[1]] = Number(m[2]) * 1024;
+    }
+    return {
+      totalBytes: info.MemTotal,
+      availableBytes: info.MemAvailable !== undefined ? info.MemAvailable : info.MemFree,
+      swapTotalBytes: info.SwapTotal || 0,
+      swapFreeBytes: info.SwapFree || 0,
+    };
+  }
+  let availableBytes = os.freemem();
+  let swapTotalBytes = 0;
+  let swapFreeBytes = 0;
+  if (isMac) {
+    const vm = (await execCmd("vm_stat")).stdout;
+    const pageSize = Number((/page size of (\d+) bytes/.exec(vm) || [])[1]) || 4096;
+    const pages = (label) => Number((new RegExp(`Pages ${label}:\\s+(\\d+)`).exec(vm) || [])[1]) || 0;
+    availableBytes = (pages("free") + pages("inactive") + pages("speculative")) * pageSize;
+    // "total = 2048.00M  used = 1011.25M  free = 1036.75M  (encrypted)"
+    const swap = (await execCmd("sysctl -n vm.swapusage")).stdout;
+    const mb = (label) => Number((new RegExp(`${label} = ([\\d.]+)M`).exec(swap) || [])[1]) || 0;
+    swapTotalBytes = mb("total") * 1024 * 1024;
+    swapFreeBytes = mb("free") * 1024 * 1024;
+  }
+  return { totalBytes: os.totalmem(), availableBytes, swapTotalBytes, swapFreeBytes };
+}
+
+function mountIgnored(mount, fsType) {
+  if (fsType && config.host.ignoreFs.includes(fsType)) return true;
+  return config.host.ignoreMounts.some((prefix) => mount.startsWith(prefix));
+}
+
+async function diskStats() {
+  const disks = new Map();
+  if (isLinux) {
+    // Filesystem Type 1024-blocks Used Available Capacity Mounted on
+    const space = (await execCmd("df -P -k -T")).stdout.trim().split("\n").slice(1);
+    for (const line of space) {
+      const f = line.trim().split(/\s+/);
+      if (f.length < 7) continue;
+      const mount = f.slice(6).join(" ");
+      if (mountIgnored(mount, f[1])) continue;
+      disks.set(mount, {
+        mount, fs: f[0], type: f[1],
+        sizeBytes: Number(f[2]) * 1024, usedBytes: Number(f[3]) * 1024, availableBytes: Number(f[4]) * 1024,
+        usedPct: pct(Number(f[3]), Number(f[3]) + Number(f[4])),
+        inodesUsedPct: null,
+      });
+    }
+    // Filesystem Type Inodes IUsed IFree IUse% Mounted on
+    const inodes = (await execCmd("df -P -i -T")).stdout.trim().split("\n").slice(1);
+    for (const line of inodes) {
+      const f = line.trim().split(/\s+/);
+      const d = disks.get(f.slice(6).join(" "));
+      if (d && Number(f[2]) > 0) d.inodesUsedPct = pct(Number(f[3]), Number(f[2]));
+    }
+  } else if (isMac) {
+    // Filesystem 1024-blocks Used Available Capacity iused ifree %iused Mounted on
+    const rows = (await execCmd("df -k -i")).stdout.trim().split("\n").slice(1);
+    for (const line of rows) {
+      const f = line.trim().split(/\s+/);
+      if (f.length < 9 || !f[0].startsWith("/dev/")) continue;
+      const mount = f.slice(8).join(" ");
+      if (mountIgnored(mount, null)) continue;
+      const iused = Number(f[5]);
+      const ifree = Number(f[6]);
+      disks.set(mount, {
+        mount, fs: f[0], type: null,
+        sizeBytes: Number(f[1]) * 1024, usedBytes: Number(f[2]) * 1024, availableBytes: Number(f[3]) * 1024,
+        usedPct: pct(Number(f[2]), Number(f[2]) + Number(f[3])),
+        inodesUsedPct: pct(iused, iused + ifree),
+      });
+    }
+  }
+  return [...disks.values()];
+}
+
+async function networkStats() {
+  const ifaces = [];
+  if (isLinux) {
+    // iface: rx bytes packets errs drop fifo frame compressed multicast | tx bytes packets errs ...
+    const lines = fs.readFileSync("/proc/net/dev", "utf8").split("\n").slice(2);
+    for (const line of lines) {
+      const m = /^\s*([^:]+):\s*(.*)$/.exec(line);
+      if (!m || m[1] === "lo") continue;
+      const f = m[2].trim().split(/\s+/).map(Number);
+      ifaces.push({
+        iface: m[1], rxBytes: f[0], rxPackets: f[1], rxErrors: f[2],
+        txBytes: f[8], txPackets: f[9], txErrors: f[10],
+      });
+    }
+  } else if (isMac) {
+    // Name Mtu Network [Address] Ipkts Ierrs Ibytes Opkts Oerrs Obytes Coll; one <Link#N> row per iface
+    const lines = (await execCmd("netstat -ibn")).stdout.trim().split("\n").slice(1);
+    for (const line of lines) {
+      const f = line.trim().split(/\s+/);
+      if (!/^<Link#\d+>$/.test(f[2]) || f[0].startsWith("lo")) continue;
+      const n = (i) => Number(f[f.length - i]);
+      ifaces.push({
+        iface: f[0], rxBytes: n(5), rxPackets: n(7), rxErrors: n(6),
+        txBytes: n(2), txPackets: n(4), txErrors: n(3),
+      });
+    }
+  }
+  return ifaces;
+}
+
+async function collectHostMetrics() {
+  const [load1, load5, load15] = os.loadavg();
+  const [memory, disks, network] = await Promise.all([memoryStats(), diskStats(), networkStats()]);
+  return {
+    takenAt: new Date().toISOString(),
+    uptimeSec: Math.floor(os.uptime()),
+    cpus: os.cpus().length,
+    load: { load1: round(load1, 2), load5: round(load5, 2), load15: round(load15, 2) },
+    cpuUsagePct: cpuUsagePct(),
+    memory: {
+      ...memory,
+      usedPct: pct(memory.totalBytes - memory.availableBytes, memory.totalBytes),
+      swapUsedPct: pct(memory.swapTotalBytes - memory.swapFreeBytes, memory.swapTotalBytes),
+    },
+    disks,
+    network,
+  };
+}
+
+function hostService(name, description, value, threshold) {
+  const healthy = value === null || value <= threshold;
+  return {
+    id: mkId(name),
+    gid: mkGlobalId(name),
+    systemId: SYSTEM_ID,
+    host: HOSTNAME,
+    service: name,
+    description,
+    load: "loaded",
+    active: healthy ? "active" : "failed",
+    sub: healthy ? "ok" : "threshold-exceeded",
+    unitFileState: "host",
+    path: "",
+    healthy,
+    updatedAt: new Date().toISOString(),
+    platform: "host",
+    metric: { value, threshold },
+  };
+}
+
+// Synthetic services so the dashboard alerts on host resources like on any unit
+function hostServices(h) {
+  const t = config.host.thresholds || {};
+  const out = [];
+  if (t.loadPerCpu != null) {
+    out.push(hostService("host:load", "1-minute load average per CPU", round(h.load.load1 / Math.max(1, h.cpus), 2), t.loadPerCpu));
+  }
+  if (t.memoryPct != null) out.push(hostService("host:memory", "Memory used (%)", h.memory.usedPct, t.memoryPct));
+  if (t.swapPct != null && h.memory.swapTotalBytes > 0) {
+    out.push(hostService("host:swap", "Swap used (%)", h.memory.swapUsedPct, t.swapPct));
+  }
+  for (const d of h.disks) {
+    if (t.diskPct != null) out.push(hostService(`host:disk:${d.mount}`, `Disk used on ${d.mount} (%)`, d.usedPct, t.diskPct));
+    if (t.inodePct != null && d.inodesUsedPct !== null) {
+      out.push(hostService(`host:inodes:${d.mount}`, `Inodes used on ${d.mount} (%)`, d.inodesUsedPct, t.inodePct));
+    }
+  }
+  return out;
+}
+
+let lastHostMetrics = null;
+
+async function listHostServices() {
+  if (!config.host.enabled) return [];
+  lastHostMetrics = await collectHostMetrics();
+  return hostServices(lastHostMetrics);
+}
+
+// ---------- Collector status ----------
+// Every enumerator (systemd, launchd, docker, each plugin) runs through
+// runCollector(), which records how its last run went. Snapshots carry these as
+// `collectors`, so "no services" can be told apart from "listing failed". A
+// failed run reuses the collector's services from its last good run, so one bad
+// `systemctl` call doesn't look like every service disappearing.
+const STDERR_EXCERPT_CHARS = 1000;
+const collectorStatus = new Map(); // name -> { name, source, status, error, stderr, durationMs, count, lastRunAt }
+const collectorServices = new Map(); // name -> services from its last good run
+
+function setCollectorStatus(name, fields) {
+  collectorStatus.set(name, { ...(collectorStatus.get(name) || { name }), ...fields });
+}
+
+function dropCollector(name) {
+  collectorStatus.delete(name);
+  collectorServices.delete(name);
+}
+
+async function runCollector(name, source, list) {
+  const started = Date.now();
+  try {
+    const services = await list();
+    collectorServices.set(name, services);
+    setCollectorStatus(name, {
+      source,
+      status: "ok",
+      error: null,
+      stderr: null,
+      durationMs: Date.now() - started,
+      count: services.length,
+      lastRunAt: new Date().toISOString(),
+    });
+    return services;
+  } catch (e) {
+    const prev = collectorStatus.get(name) || {};
+    if (prev.status !== "error" || prev.error !== e.message) {
+      console.error(`[svc-agent] collector ${name}: ${e.message}`);
+    }
+    setCollectorStatus(name, {
+      source,
+      status: "error",
+      error: e.message,
+      stderr: e.stderr ? e.stderr.trim().slice(-STDERR_EXCERPT_CHARS) : null,
+      durationMs: Date.now() - started,
+      lastRunAt: new Date().toISOString(),
+    });
+    return collectorServices.get(name) || [];
+  }
+}
+
+const collectorReport = () => [...collectorStatus.values()];
+
+// ---------- Plugins ----------
+// Collector modules for anything that is not a systemd/launchd unit or docker
+// container. Each .js file (or directory with an index.js) in plugins.dir exports:
+//   name       identifier, also the prefix of its service names ("pm2:api")
+//   detect(ctx)   optional; falsy = not present on this host, skipped until reload
+//   collect(ctx)  array of service-shaped objects; at least `service`, plus
+//                 `healthy` and/or `active` ("active" counts as healthy)
+// ctx = { host, systemId, platform, options (plugins.options[name]), exec, log }.
+// Both may be async and run under plugins.timeoutMs; status is reported per
+// plugin like the built-in collectors (source "plugin").
+const PLUGIN_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/;
+let plugins = []; // { name, file, module, detected, running }
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function pluginContext(name) {
+  return {
+    host: HOSTNAME,
+    systemId: SYSTEM_ID,
+    platform: process.platform,
+    options: (config.plugins.options || {})[name] || {},
+    exec: execCmd,
+    log: (...args) => console.log(`[plugin:${name}]`, ...args),
+  };
+}
+
+async function loadPlugins() {
+  for (const p of plugins) delete require.cache[p.file];
+  plugins = [];
+  for (const [name, st] of collectorStatus) if (st.source === "plugin") dropCollector(name);
+  if (!config.plugins.enabled) return;
+
+  const dir = path.resolve(config.plugins.dir);
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`[svc-agent] plugins: cannot read ${dir}: ${e.message}`);
+    return;
+  }
+  const files = entries
+    .filter((d) => (d.isFile() && d.name.endsWith(".js")) || d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+
+  for (const entry of files) {
+    let file, mod;
+    try {
+      file = require.resolve(path.join(dir, entry));
+    } catch (_) {
+      continue; // directory without an index.js / package main
+    }
+    const started = Date.now();
+    try {
+      delete require.cache[file];
+      mod = require(file);
+      if (!mod || typeof mod.name !== "string" || !PLUGIN_NAME_RE.test(mod.name)) {
+        throw new Error("`name` must be a lowercase identifier (a-z, 0-9, _ and -)");
+      }
+      if (typeof mod.collect !== "function") throw new Error("`collect` must be a function");
+      if (plugins.some((p) => p.name === mod.name)) throw new Error(`duplicate plugin name "${mod.name}"`);
+    } catch (e) {
+      console.error(`[svc-agent] plugin ${entry} not loaded: ${e.message}`);
+      setCollectorStatus(entry, { source: "plugin", file, status: "error", error: `load: ${e.message}`, durationMs: Date.now() - started });
+      continue;
+    }
+
+    const plugin = { name: mod.name, file, module: mod, detected: false, running: null };
+    plugins.push(plugin);
+    try {
+      plugin.detected = typeof mod.detect === "function"
+        ? !!(await withTimeout(Promise.resolve().then(() => mod.detect(pluginContext(mod.name))), config.plugins.timeoutMs, "detect()"))
+        : true;
+      setCollectorStatus(mod.name, {
+        source: "plugin",
+        file,
+        status: plugin.detected ? "ok" : "not-detected",
+        error: null,
+        durationMs: Date.now() - started,
+        count: 0,
+      });
+    } catch (e) {
+      console.error(`[svc-agent] plugin ${mod.name}: detect() failed: ${e.message}`);
+      setCollectorStatus(mod.name, { source: "plugin", file, status: "error", error: `detect: ${e.message}`, durationMs: Date.now() - started });
+    }
+  }
+  const active = plugins.filter((p) => p.detected).map((p) => p.name);
+  if (plugins.length) console.log(`[svc-agent] plugins: ${active.join(", ") || "none detected"} (of ${plugins.length} loaded)`);
+}
+
+// Fills in the fields every service carries; names are forced under "<plugin>:"
+function pluginService(plugin, item) {
+  if (!isPlainObject(item) || typeof item.service !== "string" || !item.service) {
+    throw new Error("collect() returned an item without a `service` name");
+  }
+  const service = item.service.startsWith(`${plugin.name}:`) ? item.service : `${plugin.name}:${item.service}`;
+  const healthy = item.healthy !== undefined ? !!item.healthy : item.active === "active";
+  const active = item.active || (healthy ? "active" : "inactive");
+  return {
+    description: "",
+    load: "loaded",
+    sub: active,
+    unitFileState: "plugin",
+    ...item,
+    id: mkId(service),
+    gid: mkGlobalId(service),
+    systemId: SYSTEM_ID,
+    host: HOSTNAME,
+    service,
+    active,
+    healthy,
+    platform: item.platform || plugin.name,
+    plugin: plugin.name,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function collectPlugin(plugin) {
+  // A collect() that timed out may still be running; don't stack another on it
+  if (plugin.running) return collectorServices.get(plugin.name) || [];
+  return runCollector(plugin.name, "plugin", async () => {
+    const run = Promise.resolve().then(() => plugin.module.collect(pluginContext(plugin.name)));
+    plugin.running = run;
+    run.catch(() => {}).finally(() => { if (plugin.running === run) plugin.running = null; });
+    const items = await withTimeout(run, config.plugins.timeoutMs, "collect()");
+    if (!Array.isArray(items)) throw new Error("collect() must return an array");
+    return items.map((item) => pluginService(plugin, item));
+  });
+}
+
+async function listPluginServices() {
+  const active = plugins.filter((p) => p.detected);
+  return (await Promise.all(active.map(collectPlugin))).flat();
+}
+
+// ---------- Snapshot + Cache ----------
+let lastSnapshot = { services: [], takenAt: null };
+let snapshotRun = null;   // in-flight snapshot, shared by every caller
+let snapshotAgain = null; // one run queued behind it for callers that need fresh state
+
+// Single-flight: periodic reports, `refresh` and HTTP share a running snapshot.
+// `fresh` callers (after a config change or service action) get one that starts
+// after the current run, since that one may predate what they changed.
+function takeSnapshot({ fresh = false } = {}) {
+  if (!snapshotRun) {
+    snapshotRun = collectSnapshot().finally(() => { snapshotRun = null; });
+    return snapshotRun;
+  }
+  if (!fresh) return snapshotRun;
+  if (!snapshotAgain) {
+    snapshotAgain = snapshotRun.catch(() => {}).then(() => {
+      snapshotAgain = null;
+      return takeSnapshot();
+    });
+  }
+  return snapshotAgain;
+}
+
+async function collectSnapshot() {
+  if (!config.docker.enabled) dropCollector("docker");
+  if (!heartbeatsConfigured()) dropCollector("heartbeat");
+  const parts = [];
+  if (isLinux) parts.push(runCollector("systemd", "builtin", listSystemdUnits));
+  if (isMac) parts.push(runCollector("launchd", "builtin", listLaunchdServices));
+  if (config.docker.enabled) parts.push(runCollector("docker", "builtin", listDockerContainers));
+  if (config.host.enabled) parts.push(listHostServices());
+  if (heartbeatsConfigured()) parts.push(runCollector("heartbeat", "builtin", listHeartbeats));
+  if (plugins.length) parts.push(listPluginServices());
+  const combined = (await Promise.all(parts)).flat();
+  return commitSnapshot(applyChecks(combined));
+}
+
+// Replaces the cached snapshot and publishes what changed
+function commitSnapshot(services) {
+  const prev = lastSnapshot;
+  lastSnapshot = {
+    services: applyHistory(applyMetadata(services)),
+    takenAt: new Date().toISOString(),
+    // Not `host`: that is the hostname in every message
+    hostMetrics: config.host.enabled ? lastHostMetrics : null,
+    collectors: collectorReport(),
+  };
+  // The very first snapshot has nothing to diff against; the collector gets
+  // it as a full snapshot on connect instead.
+  if (prev.takenAt) {
+    publishChanges(prev.services, lastSnapshot.services);
+    notifyTransitions(prev.services, lastSnapshot.services);
+  }
+  updateMetrics(lastSnapshot);
+  return lastSnapshot;
+}
+
+// ---------- Service history + flap detection ----------
+// In-memory record of each service's observed health transitions. Restarts
+// between polls (NRestarts / docker RestartCount going up) count as transitions
+// too, so a crash loop that happens to be running at every poll still flaps.
+const serviceHistory = new Map(); // service -> { state, since, firstSeen, restarts, total, transitions }
+let graceTimer = null;
+
+// Set by applyHistory(); recomputed on every commit
+const HISTORY_FIELDS = ["stateSince", "transitions", "flapping", "observedHealthy", "graceUntil"];
+
+function recordTransition(h, entry) {
+  h.transitions.push(entry);
+  h.total++;
+  const excess = h.transitions.length - config.history.maxTransitions;
+  if (excess > 0) h.transitions.splice(0, excess);
+}
+
+function isFlapping(h, now) {
+  const from = now - config.history.flapWindowSec * 1000;
+  return h.transitions.filter((t) => Date.parse(t.at) >= from).length > config.history.flapThreshold;
+}
+
+// Updates the history from the observed `healthy` of each service and adds
+// stateSince/transitions/flapping. A service inside its failGraceSec is
+// reported healthy, with observedHealthy: false and graceUntil.
+function applyHistory(services) {
+  const now = Date.now();
+  const at = new Date(now).toISOString();
+  const graceMs = config.history.failGraceSec * 1000;
+  let nextGraceEnd = Infinity;
+
+  const out = services.map((s) => {
+    const svc = { ...s };
+    HISTORY_FIELDS.forEach((f) => delete svc[f]);
+    const observed = svc.healthy ? "healthy" : "unhealthy";
+    const restarts = svc.restarts != null ? svc.restarts : svc.restartCount;
+    const entry = { at, from: null, to: observed, active: svc.active, sub: svc.sub };
+
+    let h = serviceHistory.get(svc.service);
+    if (!h) {
+      h = { state: observed, since: at, firstSeen: at, restarts, total: 0, transitions: [] };
+      serviceHistory.set(svc.service, h);
+    } else if (h.state !== observed) {
+      recordTransition(h, { ...entry, from: h.state, kind: "state" });
+      h.state = observed;
+      h.since = at;
+    } else if (restarts != null && h.restarts != null && restarts > h.restarts) {
+      recordTransition(h, { ...entry, from: h.state, kind: "restart", restarts: restarts - h.restarts });
+    }
+    h.restarts = restarts;
+
+    svc.stateSince = h.since;
+    svc.transitions = h.total;
+    svc.flapping = isFlapping(h, now);
+
+    // Grace only for a healthy -> failed change, not for services first seen failed
+    if (!svc.healthy && graceMs && !svc.flapping && h.since !== h.firstSeen) {
+      const end = Date.parse(h.since) + graceMs;
+      if (end > now) {
+        nextGraceEnd = Math.min(nextGraceEnd, end);
+        return { ...svc, healthy: true, observedHealthy: false, graceUntil: new Date(end).toISOString() };
+      }
+    }
+    return svc;
+  });
+
+  const present = new Set(services.map((s) => s.service));
+  for (const name of serviceHistory.keys()) if (!present.has(name)) serviceHistory.delete(name);
+  scheduleGraceEnd(nextGraceEnd - now);
+  return out;
+}
+
+// Report a failure as soon as its grace period runs out rather than at the next poll
+function scheduleGraceEnd(ms) {
+  clearTimeout(graceTimer);
+  graceTimer = null;
+  if (!Number.isFinite(ms)) return;
+  graceTimer = setTimeout(() => {
+    graceTimer = null;
+    if (lastSnapshot.takenAt) commitSnapshot(applyChecks(lastSnapshot.services));
+  }, Math.max(ms, 0) + 50);
+}
+
+function stopGraceTimer() {
+  clearTimeout(graceTimer);
+  graceTimer = null;
+}
+
+function getServiceHistory(name) {
+  const h = serviceHistory.get(name);
+  if (!h) return null;
+  const svc = lastSnapshot.services.find((s) => s.service === name) || {};
+  return {
+    service: name,
+    state: h.state,
+    since: h.since,
+    firstSeen: h.firstSeen,
+    healthy: svc.healthy,
+    flapping: svc.flapping,
+    graceUntil: svc.graceUntil || null,
+    totalTransitions: h.total,
+    transitions: h.transitions.slice(),
+  };
+}
+
+// ---------- Notifications ----------
+// Local alerting on health transitions, independent of the collector (which
+// may be the thing that is down). Events: unhealthy, recovered, flapping,
+// collectorDown, collectorUp.
+const notifySentAt = new Map(); // "event:service" -> ms, for dedupSec (service events only)
+const openProblems = new Map(); // unhealthy service -> ms of its last "unhealthy" alert, for repeatSec
+
+// {{name}} placeholders in strings, recursively through arrays/objects. A string
+// that is exactly one placeholder keeps the value's type (booleans, arrays).
+function renderTemplate(tpl, vars) {
+  if (Array.isArray(tpl)) return tpl.map((v) => renderTemplate(v, vars));
+  if (isPlainObject(tpl)) {
+    return Object.fromEntries(Object.entries(tpl).map(([k, v]) => [k, renderTemplate(v, vars)]));
+  }
+  if (typeof tpl !== "string") return tpl;
+  const whole = /^\{\{\s*(\w+)\s*\}\}$/.exec(tpl);
+  if (whole) return vars[whole[1]] === undefined ? null : vars[whole[1]];
+  return tpl.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => {
+    const v = vars[k];
+    if (v == null) return "";
+    return Array.isArray(v) ? v.join(",") : String(v);
+  });
+}
+
+function notifyWebhook(sink, alert) {
+  return new Promise((resolve, reject) => {
+    if (!sink.url) return reject(new Error("webhook sink needs url"));
+    const url = new URL(sink.url);
+    const mod = url.protocol === "https:" ? https : http;
+    const body = JSON.stringify(sink.body !== undefined ? renderTemplate(sink.body, alert) : alert);
+    const timeoutMs = sink.timeoutMs || 10000;
+    const req = mod.request(url, {
+      method: sink.method || "POST",
+      timeout: timeoutMs,
+      rejectUnauthorized: sink.rejectUnauthorized !== false,
+      headers: { "content-type": "application/json", "content-length": Buffer.byteLength(body), ...sink.headers },
+    }, (res) => {
+      res.resume();
+      res.on("end", () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+        else reject(new Error(`HTTP ${res.statusCode}`));
+      });
+    });
+    req.on("timeout", () => req.destroy(new Error(`timeout after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+const SYSLOG_PRIORITY = { unhealthy: "err", collectorDown: "err", flapping: "warning", recovered: "notice", collectorUp: "notice" };
+
+function notifySyslog(sink, alert) {
+  const priority = `${sink.facility || "daemon"}.${SYSLOG_PRIORITY[alert.event] || "notice"}`;
+  return runNotifyProcess("logger", ["-t", sink.tag || "tds-svc-agent", "-p", priority, alert.message], {}, sink);
+}
+
+// The alert goes to the command as JSON on stdin and as TDS_* env vars
+function notifyCommand(sink, alert) {
+  if (!sink.command) return Promise.reject(new Error("command sink needs command"));
+  const env = {
+    TDS_EVENT: alert.event,
+    TDS_SERVICE: alert.service || "",
+    TDS_HOST: alert.host,
+    TDS_SYSTEM_ID: alert.systemId,
+    TDS_MESSAGE: alert.message,
+  };
+  return runNotifyProcess(sink.command, [], env, sink, JSON.stringify(alert), true);
+}
+
+function runNotifyProcess(cmd, args, env, sink, input = "", shell = false) {
+  return new Promise((resolve, reject) => {
+    const timeoutMs = sink.timeoutMs || 10000;
+    const child = spawn(cmd, args, { shell, env: { ...process.env, ...env }, stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+    child.stderr.on("data", (d) => { if (stderr.length < 4096) stderr += d; });
+    child.stdin.on("error", () => {}); // command exited without reading stdin
+    child.stdin.end(input);
+    child.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const detail = signal ? `killed by ${signal}` : `exit code ${code}`;
+      reject(new Error(`${cmd}: ${detail}${stderr.trim() ? `: ${stderr.trim().slice(-200)}` : ""}`));
+    });
+  });
+}
+
+// Minimal SMTP client: implicit TLS (secure) or STARTTLS when offered, AUTH PLAIN, one message
+async function notifySmtp(sink, alert) {
+  const to = [].concat(sink.to || []);
+  if (!sink.host || !sink.from || !to.length) throw new Error("smtp sink needs host, from and to");
+  const port = sink.port || (sink.secure ? 465 : 25);
+  const tlsOptions = {
+    servername: net.isIP(sink.host) ? undefined : sink.host, // SNI takes names only
+    rejectUnauthorized: sink.rejectUnauthorized !== false,
+  };
+  const timeoutMs = sink.timeoutMs || 15000;
+
+  let socket;
+  let buffered = "";
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffered += chunk.toString("utf8");
+    let i;
+    while ((i = buffered.indexOf("\n")) >= 0) {
+      const line = buffered.slice(0, i).replace(/\r$/, "");
+      buffered = buffered.slice(i + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) { // last line of a (multi-line) reply
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join("\n") };
+        lines = [];
+        if (waiters.length) waiters.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onError = (e) => {
+    failure = failure || e;
+    waiters.splice(0).forEach((w) => w.reject(failure));
+  };
+  const attach = (s) => {
+    socket = s; // no setEncoding(): the plain socket may still be upgraded by STARTTLS
+    socket.on("data", onData);
+    socket.on("error", onError);
+    socket.on("close", () => onError(new Error("connection closed")));
+  };
+  const expect = async (code) => {
+    const reply = replies.length
+      ? replies.shift()
+      : await new Promise((resolve, reject) => (failure ? reject(failure) : waiters.push({ resolve, reject })));
+    if (Math.floor(reply.code / 100) !== Math.floor(code / 100)) throw new Error(`SMTP: ${reply.text}`);
+    return reply;
+  };
+  const command = (line, code) => {
+    socket.write(`${line}\r\n`);
+    return expect(code);
+  };
+
+  const timer = setTimeout(() => onError(new Error(`timeout after ${timeoutMs}ms`)), timeoutMs);
+  attach(sink.secure
+    ? tls.connect({ ...tlsOptions, host: sink.host, port })
+    : net.connect({ host: sink.host, port }));
+  try {
+    await expect(220);
+    let ehlo = await command(`EHLO ${HOSTNAME}`, 250);
+    if (!sink.secure && sink.starttls !== false && /^250[ -]STARTTLS/im.test(ehlo.text)) {
+      await command("STARTTLS", 220);
+      socket.removeAllListeners("data").removeAllListeners("close");
+      attach(tls.connect({ ...tlsOptions, socket }));
+      ehlo = await command(`EHLO ${HOSTNAME}`, 250);
+    }
+    if (sink.user) {
+      await command(`AUTH PLAIN ${Buffer.from(`\0${sink.user}\0${sink.pass || ""}`).toString("base64")}`, 235);
+    }
+    await command(`MAIL FROM:<${sink.from}>`, 250);
+    for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, 250);
+    await command("DATA", 354);
+
+    const subject = renderTemplate(sink.subject || "[{{event}}] {{service}} on {{host}}", alert);
+    const text = `${alert.message}\n\n${JSON.stringify(alert, null, 2)}\n`;
+    const message = [
+      `From: ${sink.from}`,
+      `To: ${to.join(", ")}`,
+      `Subject: =?UTF-8?B?${Buffer.from(subject).toString("base64")}?=`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${HOSTNAME}>`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit",
+      "",
+      ...text.split(/\r?\n/).map((l) => (l.startsWith(".") ? `.${l}` : l)), // dot-stuffing
+    ].join("\r\n");
+    await command(`${message}\r\n.`, 250);
+    await command("QUIT", 221).catch(() => {});
+  } finally {
+    clearTimeout(timer);
+    socket.destroy();
+  }
+}
+
+const NOTIFY_SINKS = {
+  webhook: notifyWebhook,
+  smtp: notifySmtp,
+  syslog: notifySyslog,
+  command: notifyCommand,
+};
+
+// Sink names for an alert: the first route whose services/events match; every sink without routes
+function routeAlert(alert) {
+  const { routes, sinks } = config.notify;
+  if (!routes.length) return Object.keys(sinks);
+  const route = routes.find((r) =>
+    (!r.services || (alert.service !== null && matchesAny(alert.service, r.services))) &&
+    (!r.events || r.events.includes(alert.event)));
+  return route ? route.sinks || [] : [];
+}
+
+function notify(event, svc, extra = {}) {
+  const n = config.notify;
+  if (!n.enabled) return;
+  const isServiceEvent = svc !== null;
+  if (isServiceEvent && n.onlyWhenDisconnected && wsConns.some(connOpen)) return;
+
+  const now = Date.now();
+  if (isServiceEvent) {
+    const key = `${event}:${svc.service}`;
+    if (!extra.repeat && now - (notifySentAt.get(key) || 0) < n.dedupSec * 1000) return;
+    notifySentAt.set(key, now);
+  }
+
+  const name = isServiceEvent ? svc.displayName || svc.service : null;
+  const messages = {
+    unhealthy: () => `${name} on ${HOSTNAME} is unhealthy (${svc.active}/${svc.sub})`,
+    recovered: () => `${name} on ${HOSTNAME} recovered`,
+    flapping: () => `${name} on ${HOSTNAME} is flapping (${svc.transitions} transitions)`,
+    collectorDown: () => `collector ${extra.collector} unreachable from ${HOSTNAME} since ${extra.downSince}`,
+    collectorUp: () => `collector ${extra.collector} reachable again from ${HOSTNAME}`,
+  };
+  const alert = {
+    event,
+    service: isServiceEvent ? svc.service : null,
+    host: HOSTNAME,
+    systemId: SYSTEM_ID,
+    at: new Date(now).toISOString(),
+    message: messages[event](),
+    ...(isServiceEvent
+      ? {
+        healthy: svc.healthy,
+        active: svc.active,
+        sub: svc.sub,
+        displayName: svc.displayName || null,
+        owner: svc.owner || null,
+        criticality: svc.criticality || null,
+        tags: svc.tags || [],
+        failingChecks: (svc.checks || []).filter((c) => !c.ok).map((c) => c.name),
+      }
+      : {}),
+    ...extra,
+  };
+
+  for (const sinkName of routeAlert(alert)) {
+    const sink = n.sinks[sinkName];
+    const send = sink && NOTIFY_SINKS[sink.type];
+    if (!send) {
+      console.warn(`[notify] unknown sink "${sinkName}"`);
+      continue;
+    }
+    Promise.resolve()
+      .then(() => send(sink, alert))
+      .catch((e) => console.warn(`[notify] ${sinkName} (${sink.type}) failed for ${event}: ${e.message}`));
+  }
+}
+
+// Called from commitSnapshot() with the reported (post-grace) health
+function notifyTransitions(prevServices, nextServices) {
+  if (!config.notify.enabled) return;
+  const now = Date.now();
+  const repeatMs = config.notify.repeatSec * 1000;
+  const prevByName = new Map(prevServices.map((s) => [s.service, s]));
+  for (const s of nextServices) {
+    const before = prevByName.get(s.service);
+    if (!before) continue;
+    if (before.healthy && !s.healthy) {
+      openProblems.set(s.service, now);
+      notify("unhealthy", s);
+    } else if (!before.healthy && s.healthy) {
+      openProblems.delete(s.service);
+      notify("recovered", s);
+    } else if (!s.healthy && openProblems.has(s.service) && repeatMs && now - openProblems.get(s.service) >= repeatMs) {
+      openProblems.set(s.service, now);
+      notify("unhealthy", s, { repeat: true });
+    }
+    if (!before.flapping && s.flapping) notify("flapping", s);
+  }
+  const present = new Set(nextServices.map((s) => s.service));
+  for (const name of openProblems.keys()) if (!present.has(name)) openProblems.delete(name);
+}
+
+// Called from scheduleReconnect() while a connection's collector(s) cannot be reached
+function checkCollectorDown(conn) {
+  const n = config.notify;
+  if (!n.enabled || !n.collectorDownMin || !conn.downSince) return;
+  const now = Date.now();
+  if (now - conn.downSince < n.collectorDownMin * 60 * 1000) return;
+  const repeat = conn.downAlertedAt !== null;
+  if (repeat && (!n.repeatSec || now - conn.downAlertedAt < n.repeatSec * 1000)) return;
+  conn.downAlertedAt = now;
+  notify("collectorDown", null, { collector: connLabel(conn), downSince: new Date(conn.downSince).toISOString(), repeat });
+}
+
+// Called when a WS session starts. `collector` names the same thing as in the
+// collectorDown alert (in failover: every url of the list) so sinks can pair them;
+// `endpoint` is the one that answered.
+function collectorReachable(conn) {
+  if (conn.downAlertedAt === null) return;
+  conn.downAlertedAt = null;
+  notify("collectorUp", null, { collector: connLabel(conn), endpoint: connEndpoint(conn).url });
+}
+
+// ---------- Change tracking (delta events) ----------
+// Every snapshot/event sent to the collector carries a monotonically
+// increasing `seq`. A full snapshot marks a baseline; each following event
+// has seq = previous + 1, so the collector can detect gaps and ask for a
+// `resync`. A snapshot one collector asked for (getSnapshot/resync) goes only
+// to it and takes no seq: its `lastSeq` says where the stream continues, and
+// the other collectors' streams stay gap-free.
+// Collectors dedupe on seq, so it also keeps increasing across restarts: a
+// high-water mark is saved next to the id file a block at a time, and a
+// restarted agent continues after the saved block.
+const SEQ_BLOCK = 1000;
+let reportSeq = 0;
+let seqFile = null;
+let seqReservedUpTo = 0;
+
+function reserveSeq() {
+  seqReservedUpTo = reportSeq + SEQ_BLOCK;
+  if (!seqFile) return;
+  try {
+    writeFileAtomic(seqFile, `${seqReservedUpTo}\n`);
+  } catch (e) {
+    console.warn(`[svc-agent] cannot save seq to ${seqFile}: ${e.message}`);
+  }
+}
+
+function loadSeq() {
+  seqFile = stateFilePath(".seq");
+  try {
+    reportSeq = Math.max(reportSeq, Number(fs.readFileSync(seqFile, "utf8").trim()) || 0);
+  } catch (_) {}
+  reserveSeq();
+}
+
+function nextSeq() {
+  if (++reportSeq > seqReservedUpTo) reserveSeq();
+  return reportSeq;
+}
+
+const AGENT_VERSION = (() => {
+  try {
+    return require("./package.json").version;
+  } catch (_) {
+    return "unknown";
+  }
+})();
+const agentInfo = () => ({
+  version: AGENT_VERSION,
+  platform: process.platform,
+  node: process.version,
+});
+
+// Fields that are refreshed on every poll and don't count as a change by themselves
+const VOLATILE_FIELDS = new Set(["updatedAt", "memoryBytes", "cpuUsageNs", "tasks", "metric"]);
+// Fields compared on a projection only (e.g. probe status, not probe timings)
+const FIELD_PROJECTIONS = {
+  checks: (list) => (list || []).map(({ name, status }) => ({ name, status })),
+};
+
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changed = [];
+  for (const k of keys) {
+    if (VOLATILE_FIELDS.has(k)) continue;
+    const project = FIELD_PROJECTIONS[k] || ((v) => v);
+    if (JSON.stringify(project(before[k])) !== JSON.stringify(project(after[k]))) changed.push(k);
+  }
+  return changed;
+}
+
+function diffServices(prevServices, nextServices) {
+  const prevByName = new Map(prevServices.map((s) => [s.service, s]));
+  const nextByName = new Map(nextServices.map((s) => [s.service, s]));
+  const events = [];
+
+  for (const [name, after] of nextByName) {
+    const before = prevByName.get(name);
+    if (!before) {
+      events.push({ type: "serviceAdded", service: name, after });
+      continue;
+    }
+    const changed = changedFields(before, after);
+    if (changed.length) {
+      events.push({ type: "serviceChanged", service: name, changed, before, after });
+    }
+  }
+  for (const [name, before] of prevByName) {
+    if (!nextByName.has(name)) events.push({ type: "serviceRemoved", service: name, before });
+  }
+  return events;
+}
+
+function publishChanges(prevServices, nextServices) {
+  const ts = Date.now();
+  for (const ev of diffServices(prevServices, nextServices)) {
+    wsSend({ ...ev, seq: nextSeq(), systemId: SYSTEM_ID, host: HOSTNAME, ts });
+  }
+}
+
+function snapshotMessage(snap, extra = {}, sequenced = true) {
+  return {
+    type: "snapshot",
+    ...extra,
+    ...(sequenced ? { seq: nextSeq() } : { lastSeq: reportSeq }),
+    systemId: SYSTEM_ID,
+    host: HOSTNAME,
+    takenAt: snap.takenAt,
+    services: snap.services,
+    hostMetrics: snap.hostMetrics,
+    collectors: snap.collectors,
+    agent: agentInfo(),
+  };
+}
+
+// ---------- Health checks ----------
+// service name -> [probe state]; results are merged into snapshots as `checks[]`
+let probeStates = new Map();
+
+function probeHttp(p, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(p.url);
+    const mod = url.protocol === "https:" ? https : http;
+    const req = mod.get(
+      url,
+      { timeout: timeoutMs, headers: p.headers || {}, rejectUnauthorized: !p.insecureSkipTlsVerify },
+      (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (d) => { if (body.length < 64 * 1024) body += d; });
+        res.on("end", () => {
+          const expected = p.expectStatus !== undefined ? [].concat(p.expectStatus) : null;
+          const statusOk = expected
+            ? expected.includes(res.statusCode)
+            : res.statusCode >= 200 && res.statusCode < 400;
+          if (!statusOk) return reject(new Error(`HTTP ${res.statusCode}`));
+          if (p.bodyMatch && !p.bodyMatch.test(body)) {
+            return reject(new Error(`HTTP ${res.statusCode}, body does not match ${p.bodyMatch}`));
+          }
+          resolve({ message: `HTTP ${res.statusCode}` });
+        });
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error(`timeout after ${timeoutMs}ms`)));
+    req.on("error", reject);
+  });
+}
+
+function probeTcp(p, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const sock = net.connect({ host: p.host || "127.0.0.1", port: Number(p.port) });
+    sock.setTimeout(timeoutMs, () => sock.destroy(new Error(`timeout after ${timeoutMs}ms`)));
+    sock.on("connect", () => {
+      sock.destroy();
+      resolve({ message: `connected to ${p.host || "127.0.0.1"}:${p.port}` });
+    });
+    sock.on("error", reject);
+  });
+}
+
+function probeTls(p, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const host = p.host || "127.0.0.1";
+    const sock = tls.connect({
+      host,
+      port: Number(p.port || 443),
+      servername: p.servername || (net.isIP(host) ? undefined : host),
+      rejectUnauthorized: false, // we want the cert even if it's expired/untrusted
+    });
+    sock.setTimeout(timeoutMs, () => sock.destroy(new Error(`timeout after ${timeoutMs}ms`)));
+    sock.on("secureConnect", () => {
+      const cert = sock.getPeerCertificate();
+      const authError = sock.authorized ? null : sock.authorizationError;
+      sock.destroy();
+      if (!cert || !cert.valid_to) return reject(new Error("no peer certificate"));
+      const daysLeft = Math.floor((Date.parse(cert.valid_to) - Date.now()) / 86400000);
+      const minDays = p.minDaysLeft !== undefined ? Number(p.minDaysLeft) : 14;
+      if (authError && !p.insecureSkipTlsVerify) {
+        return reject(Object.assign(new Error(`certificate not trusted: ${authError}`), { daysLeft }));
+      }
+      if (daysLeft < minDays) {
+        return reject(Object.assign(new Error(`certificate expires in ${daysLeft} day(s)`), { daysLeft }));
+      }
+      resolve({ message: `certificate valid for ${daysLeft} day(s)`, daysLeft });
+    });
+    sock.on("error", reject);
+  });
+}
+
+async function probeCommand(p, timeoutMs) {
+  const r = await execCmd(p.command, { timeoutMs });
+  if (r.timedOut) throw new Error(`timeout after ${timeoutMs}ms`);
+  const code = typeof r.code === "number" ? r.code : -1;
+  const expected = p.expectExitCode !== undefined ? Number(p.expectExitCode) : 0;
+  if (code !== expected) {
+    const detail = (r.stderr || r.stdout || "").trim().slice(-200);
+    throw new Error(`exit code ${code}${detail ? `: ${detail}` : ""}`);
+  }
+  return { message: `exit code ${code}` };
+}
+
+const PROBES = { http: probeHttp, tcp: probeTcp, tls: probeTls, command: probeCommand };
+
+async function runProbe(state) {
+  if (state.running) return;
+  state.running = true;
+  const p = state.probe;
+  const started = Date.now();
+  let ok = true;
+  let result = {};
+  try {
+    result = await PROBES[p.type](p, state.timeoutMs);
+  } catch (e) {
+    ok = false;
+    result = { message: e.message || String(e), daysLeft: e.daysLeft };
+  }
+  state.running = false;
+  state.failures = ok ? 0 : state.failures + 1;
+  state.message = result.message;
+  state.daysLeft = result.daysLeft;
+  state.checkedAt = new Date().toISOString();
+  state.durationMs = Date.now() - started;
+
+  const prevStatus = state.status;
+  state.status = state.failures >= state.threshold ? "failing" : "ok";
+  if (prevStatus !== state.status) onProbeStatusChange(state);
+}
+
+function startProbes() {
+  stopProbes();
+  const next = new Map();
+  for (const [service, list] of Object.entries(config.checks || {})) {
+    const states = [];
+    [].concat(list).forEach((probe, i) => {
+      if (!probe || !PROBES[probe.type]) {
+        console.warn(`[svc-agent] checks.${service}[${i}]: unknown probe type "${probe && probe.type}"`);
+        return;
+      }
+      const state = {
+        service,
+        name: probe.name || `${probe.type}-${i + 1}`,
+        // bodyMatch was checked by checksErrors(); compile it once here
+        probe: probe.bodyMatch ? { ...probe, bodyMatch: new RegExp(probe.bodyMatch) } : probe,
+        timeoutMs: Math.max(100, Number(probe.timeoutMs) || 5000),
+        threshold: Math.max(1, Number(probe.failureThreshold) || 3),
+        status: "pending",
+        failures: 0,
+        message: "",
+        checkedAt: null,
+        durationMs: null,
+        running: false,
+        timer: null,
+      };
+      const intervalMs = Math.max(1, Number(probe.intervalSec) || 30) * 1000;
+      state.timer = setInterval(() => runProbe(state), intervalMs);
+      runProbe(state);
+      states.push(state);
+    });
+    if (states.length) next.set(service, states);
+  }
+  probeStates = next;
+}
+
+function stopProbes() {
+  for (const states of probeStates.values()) {
+    for (const st of states) clearInterval(st.timer);
+  }
+  probeStates = new Map();
+}
+
+// Merges probe results into service objects; healthy = unit state AND no failing probe
+function applyChecks(services) {
+  return services.map((s) => {
+    const states = probeStates.get(s.service);
+    // observedHealthy: the real value while applyHistory() reports a grace period
+    const { observedHealthy, ...svc } = s;
+    const unitHealthy = "unitHealthy" in svc
+      ? svc.unitHealthy
+      : observedHealthy !== undefined ? observedHealthy : svc.healthy;
+    if (!states) {
+      const { checks: _c, unitHealthy: _u, ...rest } = svc;
+      return { ...rest, healthy: unitHealthy };
+    }
+    const checks = states.map((st) => ({
+      name: st.name,
+      type: st.probe.type,
+      status: st.status,
+      ok: st.status !== "failing",
+      failures: st.failures,
+      message: st.message,
+      ...(st.daysLeft !== undefined ? { daysLeft: st.daysLeft } : {}),
+      checkedAt: st.checkedAt,
+      durationMs: st.durationMs,
+    }));
+    return { ...svc, checks, unitHealthy, healthy: unitHealthy && checks.every((c) => c.ok) };
+  });
+}
+
+// A probe flipped between ok/failing: push it now rather than at the next poll
+function onProbeStatusChange(state) {
+  if (state.status === "failing") {
+    console.warn(`[svc-agent] check ${state.service}/${state.name} failing: ${state.message}`);
+  }
+  if (!lastSnapshot.takenAt) return;
+  commitSnapshot(applyChecks(lastSnapshot.services));
+}
+
+// ---------- Service control ----------
+const SERVICE_ACTIONS = ["start", "stop", "restart", "reload"];
+// Names are interpolated into a shell command, so keep them to unit/label/container charset
+const SAFE_SERVICE_NAME = /^[A-Za-z0-9@._:\\-]+$/;
+
+function launchdDomain() {
+  return process.getuid() === 0 ? "system" : `gui/${process.getuid()}`;
+}
+
+// systemctl waits for the unit's own stop/start timeouts (90s each by default)
+const SERVICE_ACTION_TIMEOUT_MS = 180000;
+
+// Maps a service entry + action to the platform command, or null if unsupported
+function serviceActionCommand(svc, action) {
+  switch (svc.platform) {
+    case "linux":
+      return `systemctl ${action} '${svc.service}'`;
+    case "darwin": {
+      const target = `${svc.launchdDomain || launchdDomain()}/${svc.service}`;
+      if (action === "start") return `launchctl kickstart '${target}'`;
+      if (action === "restart") return `launchctl kickstart -k '${target}'`;
+      if (action === "stop") return `launchctl bootout '${target}'`;
+      return null;
+    }
+    case "docker": {
+      if (action === "reload") return null;
+      const name = svc.service.slice("docker:".length);
+      return `${config.docker.binary} ${action} '${name}'`;
+    }
+    default:
+      return null;
+  }
+}
+
+async function runServiceAction(serviceName, action) {
+  if (!SERVICE_ACTIONS.includes(action)) throw new Error(`unsupported action "${action}"`);
+  if (typeof serviceName !== "string" || !SAFE_SERVICE_NAME.test(serviceName)) {
+    throw new Error(`invalid service name "${serviceName}"`);
+  }
+  const allowed = (config.actions || {})[serviceName] || [];
+  if (!allowed.includes(action)) {
+    throw new Error(`action "${action}" is not allowed for ${serviceName}`);
+  }
+
+  const find = (snap) => snap.services.find((s) => s.service === serviceName);
+  const svc = find(lastSnapshot) || find(await takeSnapshot());
+  if (!svc) throw new Error(`unknown service ${serviceName}`);
+
+  const cmd = serviceActionCommand(svc, action);
+  if (!cmd) throw new Error(`action "${action}" is not supported for ${svc.platform} services`);
+
+  console.log(`[svc-agent] service action: ${action} ${serviceName}`);
+  const r =
+    svc.platform === "docker" && svc.containerId
+      ? await dockerContainerAction(svc.containerId, action)
+      : await execCmd(cmd, { timeoutMs: SERVICE_ACTION_TIMEOUT_MS });
+  const snap = await takeSnapshot({ fresh: true });
+  return {
+    code: r.code,
+    stderr: (r.stderr || "").slice(-4000),
+    state: find(snap) || null,
+  };
+}
+
+// ---------- Logs ----------
+// Log source per platform: journald for systemd units, container logs for
+// docker:*, and StandardOutPath (if known) or the unified log for launchd.
+// Every source is exposed as a text stream so getLogs/followLogs share it.
+const LOG_FLUSH_MS = 250;
+const LOG_CHUNK_BYTES = 32 * 1024;
+const LOG_HIGH_WATER = 1024 * 1024; // pause the source while the socket's bufferedAmount is above this
+const LOG_LOW_WATER = 256 * 1024;
+const logStreams = new Map(); // stream id -> state
+
+// Accepts ISO strings or epoch ms; returns a Date or null
+function parseSince(since) {
+  if (since === undefined || since === null || since === "") return null;
+  const d = new Date(typeof since === "number" ? since : String(since));
+  if (isNaN(d.getTime())) throw new Error(`invalid since "${since}"`);
+  return d;
+}
+
+// "2024-01-02 03:04:05" in local time, as `log show --start` expects
+function localTimestamp(d) {
+  const p = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+}
+
+// Docker multiplexes stdout/stderr into frames with an 8-byte header unless the
+// container has a TTY; returns a function feeding raw chunks, writing payloads to `out`
+function dockerLogDemuxer(out) {
+  let buf = Buffer.alloc(0);
+  let multiplexed = null;
+  return (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    if (multiplexed === null && buf.length >= 8) {
+      multiplexed = buf[0] <= 2 && buf[1] === 0 && buf[2] === 0 && buf[3] === 0;
+    }
+    if (multiplexed === false) {
+      out.write(buf);
+      buf = Buffer.alloc(0);
+      return;
+    }
+    while (buf.length >= 8) {
+      const size = buf.readUInt32BE(4);
+      if (buf.length < 8 + size) break;
+      out.write(buf.subarray(8, 8 + size));
+      buf = buf.subarray(8 + size);
+    }
+  };
+}
+
+function openCommandLogStream(cmd, args) {
+  const out = new PassThrough();
+  const child = spawn(cmd, args, { stdio: ["ignore", "pipe", "pipe"] });
+  let open = 2;
+  const done = () => { if (--open === 0) out.end(); };
+  child.stdout.pipe(out, { end: false });
+  child.stderr.pipe(out, { end: false });
+  child.stdout.on("end", done);
+  child.stderr.on("end", done);
+  child.on("error", (e) => {
+    out.write(`[svc-agent] ${cmd}: ${e.message}\n`);
+    out.end();
+  });
+  const stop = () => {
+    child.stdout.unpipe(out);
+    child.stderr.unpipe(out);
+    try { child.kill(); } catch (_) {}
+  };
+  return { stream: out, stop };
+}
+
+function openDockerLogStream(containerId, { lines, since, follow }) {
+  const out = new PassThrough();
+  const q = new URLSearchParams({ stdout: "1", stderr: "1", timestamps: "1", tail: String(lines) });
+  if (since) q.set("since", String(Math.floor(since.getTime() / 1000)));
+  if (follow) q.set("follow", "1");
+  const feed = dockerLogDemuxer(out);
+  const req = http.request(
+    { ...dockerEndpoint(), method: "GET", path: `/containers/${encodeURIComponent(containerId)}/logs?${q}` },
+    (res) => {
+      if (res.statusCode !== 200) {
+        out.end(`[svc-agent] docker logs: HTTP ${res.statusCode}\n`);
+        return res.resume();
+      }
+      res.on("data", feed);
+      res.on("end", () => out.end());
+      res.on("error", () => out.end());
+      // Backpressure: stop reading the socket while the consumer is paused
+      out.on("pause", () => res.pause());
+      out.on("resume", () => res.resume());
+    }
+  );
+  req.on("error", (e) => out.end(`[svc-agent] docker logs: ${e.message}\n`));
+  req.end();
+  return { stream: out, stop: () => req.destroy() };
+}
+
+function openLogStream(svc, { lines, since, follow }) {
+  switch (svc.platform) {
+    case "linux": {
+      const args = ["-u", svc.service, "-n", String(lines), "--no-pager", "-o", "short-iso"];
+      if (since) args.push("--since", `@${Math.floor(since.getTime() / 1000)}`);
+      if (follow) args.push("-f");
+      return openCommandLogStream("journalctl", args);
+    }
+    case "docker": {
+      if (svc.containerId) return openDockerLogStream(svc.containerId, { lines, since, follow });
+      const args = ["logs", "--timestamps", "--tail", String(lines)];
+      if (since) args.push("--since", String(Math.floor(since.getTime() / 1000)));
+      if (follow) args.push("--follow");
+      return openCommandLogStream(config.docker.binary, [...args, svc.service.slice("docker:".length)]);
+    }
+    case "darwin": {
+      if (svc.stdoutPath) {
+        return openCommandLogStream("tail", [...(follow ? ["-F"] : []), "-n", String(lines), svc.stdoutPath]);
+      }
+      const predicate = `subsystem == "${svc.service}" OR process == "${svc.service.split(".").pop()}"`;
+      if (follow) return openCommandLogStream("log", ["stream", "--style", "syslog", "--predicate", predicate]);
+      const range = since ? ["--start", localTimestamp(since)] : ["--last", "1h"];
+      return openCommandLogStream("log", ["show", "--style", "syslog", ...range, "--predicate", predicate]);
+    }
+    default:
+      throw new Error(`no log source for ${svc.platform} services`);
+  }
+}
+
+function findLoggedService(name) {
+  if (typeof name !== "string") throw new Error("service is required");
+  const svc = lastSnapshot.services.find((s) => s.service === name);
+  if (!svc) throw new Error(`unknown service ${name}`);
+  return svc;
+}
+
+// Last N lines (optionally since a time) in one reply
+function getLogs(data) {
+  const svc = findLoggedService(data.service);
+  const lines = Math.min(Math.max(1, Number(data.lines) || 200), config.logs.maxLines);
+  const since = parseSince(data.since);
+  const { stream, stop } = openLogStream(svc, { lines, since, follow: false });
+
+  return new Promise((resolve) => {
+    let text = "";
+    let truncated = false;
+    const timer = setTimeout(() => { truncated = true; stop(); }, 15000);
+    stream.setEncoding("utf8");
+    stream.on("data", (d) => {
+      if (truncated) return;
+      text += d;
+      if (text.length > config.logs.maxStreamBytes) {
+        truncated = true;
+        stop();
+      }
+    });
+    stream.on("end", () => {
+      clearTimeout(timer);
+      const all = text.split("\n");
+      if (all[all.length - 1] === "") all.pop();
+      resolve({ service: svc.service, lines: all.slice(-lines), truncated });
+    });
+  });
+}
+
+// Chunks go only to the collector connection that asked for them
+function followLogs(data, id, conn) {
+  const svc = findLoggedService(data.service);
+  if (logStreams.size >= config.logs.maxStreams) {
+    throw new Error(`too many log streams (max ${config.logs.maxStreams})`);
+  }
+  const streamId = String(data.stream || id || crypto.randomUUID());
+  if (logStreams.has(streamId)) throw new Error(`log stream ${streamId} already exists`);
+  const lines = Math.min(Math.max(0, Number(data.lines) || 0), config.logs.maxLines);
+  const maxBytes = Math.min(Number(data.maxBytes) || config.logs.maxStreamBytes, config.logs.maxStreamBytes);
+  const { stream, stop } = openLogStream(svc, { lines, since: parseSince(data.since), follow: true });
+
+  const st = { id: streamId, service: svc.service, conn, stream, stop, sent: 0, seq: 0, pending: "", flushTimer: null, drainTimer: null };
+  logStreams.set(streamId, st);
+
+  const flush = () => {
+    clearTimeout(st.flushTimer);
+    st.flushTimer = null;
+    const cut = st.pending.lastIndexOf("\n");
+    if (cut < 0) return;
+    const chunk = st.pending.slice(0, cut);
+    st.pending = st.pending.slice(cut + 1);
+    st.sent += Buffer.byteLength(chunk);
+    connSend(conn, { type: "logChunk", stream: streamId, service: st.service, seq: ++st.seq, lines: chunk.split("\n") });
+    if (st.sent >= maxBytes) return endLogStream(streamId, "byteCap");
+
+    // Backpressure: hold the source until the socket has drained
+    if (conn.ws && conn.ws.bufferedAmount > LOG_HIGH_WATER && !st.drainTimer) {
+      stream.pause();
+      st.drainTimer = setInterval(() => {
+        if (connOpen(conn) && conn.ws.bufferedAmount > LOG_LOW_WATER) return;
+        clearInterval(st.drainTimer);
+        st.drainTimer = null;
+        stream.resume();
+      }, 100);
+    }
+  };
+
+  stream.setEncoding("utf8");
+  stream.on("data", (d) => {
+    st.pending += d;
+    if (st.pending.length >= LOG_CHUNK_BYTES) flush();
+    else if (!st.flushTimer) st.flushTimer = setTimeout(flush, LOG_FLUSH_MS);
+  });
+  stream.on("end", () => {
+    if (st.pending && !st.pending.endsWith("\n")) st.pending += "\n";
+    if (logStreams.has(streamId)) flush();
+    endLogStream(streamId, "ended");
+  });
+  return { stream: streamId, service: svc.service };
+}
+
+// reason: "stopped" | "ended" | "byteCap" | "disconnected"
+function endLogStream(streamId, reason, id) {
+  const st = logStreams.get(streamId);
+  if (!st) return false;
+  logStreams.delete(streamId);
+  clearTimeout(st.flushTimer);
+  clearInterval(st.drainTimer);
+  st.stop();
+  connSend(st.conn, { type: "logEnd", id, stream: streamId, service: st.service, reason, bytes: st.sent });
+  return true;
+}
+
+function stopAllLogStreams(reason, conn) {
+  for (const [streamId, st] of [...logStreams]) if (st.conn === conn) endLogStream(streamId, reason);
+}
+
+// ---------- Self-update ----------
+// `update` { version, sha256, url? }: download the release tarball to a staging
+// directory next to the install dir, verify its sha256, unpack it, install
+// dependencies if the release has none, carry over local state files, then swap
+// directories (install -> install.prev, staging -> install) and restart. A
+// watchdog (scripts/update-watchdog.js of the previous release) swaps back and
+// restarts unless the new process reconnects and confirms within
+// update.confirmTimeoutSec.
+const INSTALL_DIR = __dirname;
+const SAFE_VERSION = /^[0-9A-Za-z][0-9A-Za-z.+_-]{0,63}$/;
+let updateInProgress = false;
+let pendingUpdate = null; // read at boot; reported to the collector after hello
+
+const pendingUpdateFile = () => stateFilePath(".update");
+
+function downloadFile(url, file, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    const mod = url.startsWith("https:") ? https : http;
+    const req = mod.get(url, { timeout: 60000 }, (res) => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (!redirects) return reject(new Error(`too many redirects for ${url}`));
+        return resolve(downloadFile(new URL(res.headers.location, url).toString(), file, redirects - 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+      }
+      const hash = crypto.createHash("sha256");
+      const out = fs.createWriteStream(file, { mode: 0o600 });
+      res.on("data", (d) => hash.update(d));
+      res.on("error", reject);
+      out.on("error", reject);
+      out.on("finish", () => resolve(hash.digest("hex")));
+      res.pipe(out);
+    });
+    req.on("timeout", () => req.destroy(new Error(`download timed out: ${url}`)));
+    req.on("error", reject);
+  });
+}
+
+function spawnChecked(cmd, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { stdio: ["ignore", "ignore", "pipe"], ...options });
+    let stderr = "";
+    child.stderr.on("data", (d) => { if (stderr.length < 8192) stderr += d; });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${cmd} ${args.join(" ")} failed (code ${code}): ${stderr.trim().slice(-500)}`));
+    });
+  });
+}
+
+// Local files that are not part of a release: config next to the script, id, queue, credentials, ...
+const isLocalStateFile = (name) => /^\.?tds-svc-agent\./.test(name);
+// What moves into a new release when it sits in the install dir (not the
+// control socket: the new process creates its own)
+const CARRIED_STATE_FILES = [
+  "tds-svc-agent.json",
+  ".tds-svc-agent.id",
+  ".tds-svc-agent.cred",
+  ".tds-svc-agent.queue",
+  ".tds-svc-agent.seq",
+  ".tds-svc-agent.heartbeats",
+];
+
+async function stageRelease(version, url, sha256, stagingDir) {
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+  fs.mkdirSync(stagingDir, { recursive: true, mode: 0o755 });
+  const archive = `${stagingDir}.tar.gz`;
+  try {
+    const digest = await downloadFile(url, archive);
+    if (digest !== sha256) throw new Error(`sha256 mismatch: expected ${sha256}, got ${digest}`);
+    await spawnChecked("tar", ["-xzf", archive, "-C", stagingDir, "--strip-components=1"]);
+  } finally {
+    fs.rmSync(archive, { force: true });
+  }
+
+  const pkgFile = path.join(stagingDir, "package.json");
+  if (!fs.existsSync(path.join(stagingDir, "svc-agent.js")) || !fs.existsSync(pkgFile)) {
+    throw new Error("release archive has no svc-agent.js/package.json at its top level");
+  }
+  const pkg = JSON.parse(fs.readFileSync(pkgFile, "utf8"));
+  if (pkg.version !== version) throw new Error(`release package.json says version ${pkg.version}, expected ${version}`);
+  if (pkg.dependencies && Object.keys(pkg.dependencies).length && !fs.existsSync(path.join(stagingDir, "node_modules"))) {
+    // Same as install.sh
+    await spawnChecked("sh", ["-c", "npm ci --omit=dev || npm install --omit=dev"], { cwd: stagingDir });
+  }
+
+  // The host's own config/state always win; a release copy (e.g. the sample
+  // tds-svc-agent.json in a repo tarball) must not replace or shadow them
+  for (const name of fs.readdirSync(stagingDir)) {
+    if (isLocalStateFile(name)) fs.rmSync(path.join(stagingDir, name), { recursive: true, force: true });
+  }
+  for (const name of CARRIED_STATE_FILES) {
+    const from = path.join(INSTALL_DIR, name);
+    let st;
+    try {
+      st = fs.lstatSync(from);
+    } catch (_) {
+      continue;
+    }
+    if (st.isDirectory()) fs.cpSync(from, path.join(stagingDir, name), { recursive: true });
+    else if (st.isFile()) fs.copyFileSync(from, path.join(stagingDir, name));
+  }
+}
+
+// Runs outside our systemd unit where possible, so restarting the unit does not kill it
+async function startUpdateWatchdog(script, file) {
+  if (isLinux && process.env.INVOCATION_ID && fs.existsSync("/run/systemd/system")) {
+    try {
+      await spawnChecked("systemd-run", ["--collect", "--quiet", `--unit=tds-svc-agent-update-${Date.now()}`,
+        process.execPath, script, file]);
+      return;
+    } catch (e) {
+      console.warn(`[svc-agent] systemd-run failed (${e.message}); starting the update watchdog detached`);
+    }
+  }
+  spawn(process.execPath, [script, file], { detached: true, stdio: "ignore" }).unref();
+}
+
+async function runUpdate(data) {
+  const version = String(data.version || "");
+  const sha256 = String(data.sha256 || "").toLowerCase();
+  if (!SAFE_VERSION.test(version)) throw new Error("invalid or missing version");
+  if (!/^[0-9a-f]{64}$/.test(sha256)) throw new Error("sha256 must be 64 hex characters");
+  if (version === AGENT_VERSION) throw new Error(`already running ${version}`);
+  if (updateInProgress) throw new Error("an update is already in progress");
+  const url = data.url ? String(data.url) : renderTemplate(config.update.urlTemplate, { version });
+  if (!/^https?:\/\//.test(url)) throw new Error("url must be http(s)");
+
+  updateInProgress = true;
+  const stagingDir = `${INSTALL_DIR}.staging`;
+  const prevDir = `${INSTALL_DIR}.prev`;
+  try {
+    console.log(`[svc-agent] update to ${version}: downloading ${url}`);
+    await stageRelease(version, url, sha256, stagingDir);
+
+    const timeoutSec = config.update.confirmTimeoutSec;
+    const file = pendingUpdateFile();
+    const pending = {
+      id: data.id,
+      version,
+      from: AGENT_VERSION,
+      dir: INSTALL_DIR,
+      prevDir,
+      status: "pending",
+      startedAt: new Date().toISOString(),
+      timeoutSec,
+      deadline: Date.now() + timeoutSec * 1000,
+      restart: {
+        systemdUnit: isLinux && fs.existsSync("/run/systemd/system") ? process.env.SVC_UNIT || "tds-svc-agent.service" : null,
+        launchdLabel: isMac ? process.env.LAUNCHD_LABEL || null : null,
+        node: process.execPath,
+        cwd: process.cwd(),
+      },
+    };
+    fs.writeFileSync(file, JSON.stringify(pending, null, 2) + "\n", { mode: 0o600 });
+    if (path.dirname(file) === INSTALL_DIR) fs.copyFileSync(file, path.join(stagingDir, path.basename(file)));
+
+    // Swap: two renames on the same filesystem; undone if the second one fails
+    fs.rmSync(prevDir, { recursive: true, force: true });
+    fs.renameSync(INSTALL_DIR, prevDir);
+    try {
+      fs.renameSync(stagingDir, INSTALL_DIR);
+    } catch (e) {
+      fs.renameSync(prevDir, INSTALL_DIR);
+      throw e;
+    }
+
+    // The pending file may have moved with the install dir; the watchdog uses its current path
+    await startUpdateWatchdog(path.join(prevDir, "scripts", "update-watchdog.js"), file);
+    console.log(`[svc-agent] update to ${version} installed; restarting (confirm within ${timeoutSec}s)`);
+    return { version, from: AGENT_VERSION };
+  } catch (e) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    try { fs.unlinkSync(pendingUpdateFile()); } catch (_) {}
+    updateInProgress = false;
+    throw e;
+  }
+}
+
+// At boot: an update (or its rollback) is waiting to be confirmed/reported
+function loadPendingUpdate() {
+  const file = pendingUpdateFile();
+  let p;
+  try {
+    p = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (_) {
+    return;
+  }
+  pendingUpdate = p;
+  if (p.status === "pending" && p.version === AGENT_VERSION) {
+    // Lets the watchdog stop this process if it has to roll back an unsupervised agent
+    fs.writeFileSync(file, JSON.stringify({ ...p, newPid: process.pid }, null, 2) + "\n", { mode: 0o600 });
+    console.log(`[svc-agent] update from ${p.from} pending; confirming once connected`);
+  }
+}
+
+// Called after hello: a successful reconnect confirms the new version
+function reportPendingUpdate() {
+  const p = pendingUpdate;
+  if (!p) return;
+  const file = pendingUpdateFile();
+  if (p.status === "pending" && p.version === AGENT_VERSION) {
+    try { fs.unlinkSync(file); } catch (_) {}
+    pendingUpdate = null;
+    console.log(`[svc-agent] update ${p.from} -> ${p.version} confirmed`);
+    wsSend({ type: "updateResult", id: p.id, ok: true, status: "confirmed", version: p.version, from: p.from });
+  } else if (p.status === "rolledBack") {
+    try { fs.unlinkSync(file); } catch (_) {}
+    pendingUpdate = null;
+    console.warn(`[svc-agent] update to ${p.version} was rolled back: ${p.error}`);
+    wsSend({ type: "updateResult", id: p.id, ok: false, status: "rolledBack", version: p.version, running: AGENT_VERSION, error: p.error });
+  }
+}
+
+// ---------- Command authorization ----------
+// Mutating commands must be signed by the collector:
+//   { type, id, ...params, systemId, nonce, ts, sig }
+// `sig` is a base64 Ed25519 signature over canonicalJson(message without `sig`),
+// `systemId` the target agent, `ts` the signing time in ms and `nonce` a random
+// string (>= 16 chars). Each nonce is accepted once; commands outside
+// maxCommandAgeSec are expired, and so are those signed before this process
+// started (seen nonces aren't persisted, so a restart must not reopen the window).
+const SIGNED_COMMANDS = new Set(["serviceAction", "runInstall", "setConfig", "update"]);
+const seenNonces = new Map(); // nonce -> expiry (ms)
+const PROCESS_STARTED_MS = Date.now();
+
+// JSON with object keys sorted at every level, so both sides sign the same bytes
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+let commandKey = { source: null, key: null };
+function loadCommandPublicKey() {
+  const source = config.security.commandPublicKey;
+  if (!source) return null;
+  if (commandKey.source !== source) {
+    const pem = source.includes("-----BEGIN") ? source : fs.readFileSync(source, "utf8");
+    commandKey = { source, key: crypto.createPublicKey(pem) };
+  }
+  return commandKey.key;
+}
+
+// Throws with the reason if the command must not be executed. The options
+// default to this agent's own key, id, limits and clock (tests pass their own).
+function verifyCommand(data, {
+  key = loadCommandPublicKey(),
+  systemId = SYSTEM_ID,
+  maxAgeSec = config.security.maxCommandAgeSec,
+  startedAt = PROCESS_STARTED_MS,
+  now = Date.now(),
+} = {}) {
+  if (!key) throw new Error("no command public key configured");
+
+  const { sig, ...unsigned } = data;
+  if (typeof sig !== "string" || !sig) throw new Error("missing signature");
+  if (typeof data.nonce !== "string" || data.nonce.length < 16) throw new Error("missing or short nonce");
+
+  const ts = Number(data.ts);
+  const maxAgeMs = Math.max(1, maxAgeSec || 300) * 1000;
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > maxAgeMs) throw new Error("command expired");
+  if (ts < startedAt) throw new Error("command signed before agent start");
+
+  const ok = crypto.verify(null, Buffer.from(canonicalJson(unsigned)), key, Buffer.from(sig, "base64"));
+  if (!ok) throw new Error("bad signature");
+  if (data.systemId !== systemId) throw new Error("command is for another systemId");
+
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt < now) seenNonces.delete(nonce);
+  }
+  if (seenNonces.has(data.nonce)) throw new Error("replayed command");
+  seenNonces.set(data.nonce, ts + maxAgeMs);
+}
+
+// Keeps only allow-listed string env vars for install.sh; throws on anything else
+function installEnvFromCommand(env) {
+  if (env === undefined || env === null) return {};
+  if (typeof env !== "object" || Array.isArray(env)) throw new Error("env must be an object");
+  const allow = new Set(config.security.installEnvAllow || []);
+  const out = {};
+  for (const [k, v] of Object.entries(env)) {
+    if (!allow.has(k)) throw new Error(`env var ${k} is not allowed`);
+    if (typeof v !== "string") throw new Error(`env var ${k} must be a string`);
+    out[k] = v;
+  }
+  return out;
+}
+
+// ---------- Offline queue ----------
+// Sequenced messages (those with `seq`) that can't be delivered are appended
+// to a JSONL file and replayed, in order, right after the next `hello`.
+// Entries stay until the collector acks them ({ type: "ack", seq }) or the
+// age/size caps drop them, so a replay may repeat messages: dedupe on `seq`.
+let queue = []; // [{ queuedAt, msg }]
+let queueBytes = 0;
+let queueFile = null;
+let queueWriteWarned = false;
+
+function queueWarn(e) {
+  if (queueWriteWarned) return;
+  queueWriteWarned = true;
+  console.warn(`[svc-agent] offline queue not persisted (${queueFile}): ${e.message}`);
+}
+
+function persistQueue() {
+  const tmp = `${queueFile}.tmp`;
+  try {
+    fs.writeFileSync(tmp, queue.map((e) => JSON.stringify(e) + "\n").join(""), { mode: 0o600 });
+    fs.renameSync(tmp, queueFile);
+  } catch (e) {
+    queueWarn(e);
+  }
+}
+
+function loadQueue() {
+  if (!config.queue.enabled) return;
+  queueFile = stateFilePath(".queue");
+  let text = "";
+  try {
+    text = fs.readFileSync(queueFile, "utf8");
+  } catch (_) {
+    return;
+  }
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      queue.push(JSON.parse(line));
+      queueBytes += line.length + 1;
+    } catch (_) {}
+  }
+  trimQueue();
+  // A queue from before the .seq file existed
+  for (const e of queue) reportSeq = Math.max(reportSeq, e.msg.seq || 0);
+  if (queue.length) console.log(`[svc-agent] offline queue: ${queue.length} message(s) pending replay`);
+}
+
+function enqueue(msg) {
+  if (!config.queue.enabled || !queueFile) return;
+  const entry = { queuedAt: Date.now(), msg };
+  const line = JSON.stringify(entry) + "\n";
+  queue.push(entry);
+  queueBytes += line.length;
+  try {
+    fs.appendFileSync(queueFile, line, { mode: 0o600 });
+  } catch (e) {
+    queueWarn(e);
+  }
+  if (queueBytes > config.queue.maxBytes) trimQueue();
+}
+
+// Drops acked (seq <= ackSeq), expired and — oldest first — oversize entries
+function trimQueue(ackSeq = 0) {
+  const before = queue.length;
+  const minQueuedAt = Date.now() - Math.max(1, config.queue.maxAgeSec) * 1000;
+  queue = queue.filter((e) => e.queuedAt >= minQueuedAt && !(e.msg.seq <= ackSeq));
+  queueBytes = queue.reduce((n, e) => n + JSON.stringify(e).length + 1, 0);
+  while (queue.length && queueBytes > config.queue.maxBytes) {
+    queueBytes -= JSON.stringify(queue.shift()).length + 1;
+  }
+  if (queue.length !== before) persistQueue();
+}
+
+function replayQueue(conn) {
+  trimQueue();
+  if (!queue.length) return;
+  connLog(conn, `replaying ${queue.length} queued message(s)`);
+  for (const e of queue) {
+    // Original seq and timestamps are kept; queuedAt tells when it was buffered
+    connSend(conn, { ...e.msg, replayed: true, queuedAt: e.queuedAt });
+  }
+}
+
+// ---------- Enrollment + credentials ----------
+// With ws.joinToken set and no stored credential, the agent connects with
+// ?enroll=1 and sends {type:"enroll", joinToken, systemId, host}; the collector
+// answers {type:"enrolled", credential}. The per-host credential is stored per
+// collector url (0600, next to the id file) and used as the Bearer token from
+// then on. `rotateCredential` replaces it; a 401/403 on the handshake drops it,
+// so the next attempt enrolls again (if a join token is configured).
+let credFile = null;
+let credentials = {}; // ws url -> { systemId, credential, issuedAt }
+
+function loadCredentials() {
+  credFile = stateFilePath(".cred");
+  try {
+    credentials = JSON.parse(fs.readFileSync(credFile, "utf8")) || {};
+  } catch (_) {
+    credentials = {};
+  }
+}
+
+function saveCredentials() {
+  const tmp = `${credFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(credentials, null, 2) + "\n", { mode: 0o600 });
+  fs.chmodSync(tmp, 0o600); // `mode` is ignored if a stale tmp file exists
+  fs.renameSync(tmp, credFile);
+}
+
+// Credentials are tied to the systemId they were issued for
+function storedCredential(url) {
+  const c = credentials[url];
+  return c && c.systemId === SYSTEM_ID && c.credential ? c.credential : null;
+}
+
+function storeCredential(url, credential) {
+  credentials[url] = { systemId: SYSTEM_ID, credential, issuedAt: new Date().toISOString() };
+  saveCredentials();
+}
+
+function dropCredential(url) {
+  delete credentials[url];
+  try {
+    saveCredentials();
+  } catch (e) {
+    console.warn(`[svc-agent] cannot update ${credFile}: ${e.message}`);
+  }
+}
+
+// Bearer token for the next handshake to `ep` and what kind it is
+function wsConnectAuth(ep) {
+  const credential = storedCredential(ep.url);
+  if (credential) return { kind: "credential", token: credential };
+  if (ep.joinToken) return { kind: "enroll", token: ep.token };
+  return { kind: ep.token ? "token" : "none", token: ep.token };
+}
+
+// ---------- Wire protocol ----------
+// Every message is one JSON text frame (msgpack binary frame, see below):
+//   { v, type, id?, ...fields }
+// `v` is the protocol version the sender speaks on this connection. Requests
+// from the collector carry an `id` (string or number) and get exactly one reply
+// echoing it: the type-specific answer (pong, snapshot, ok, actionResult, logs,
+// logsStarted, ...) or the standard error
+//   { type: "error", id, request, code, error, errors? }
+// with code one of:
+//   badMessage          not JSON/msgpack, or no string `type`
+//   unknownType         no such message type
+//   invalidRequest      fields do not match MESSAGE_SCHEMAS (`errors` lists them)
+//   unauthorized        missing or invalid command signature
+//   forbidden           command from a collector without `control: true`
+//   unsupportedVersion  `welcome` picked a protocol version we do not speak
+//   internal            the handler failed
+// ack, welcome, enrolled and enrollRejected are notifications: no reply.
+//
+// Negotiation: `hello` carries protocolVersion (newest), minProtocolVersion and
+// the encodings we can send; the collector answers
+//   { type: "welcome", protocolVersion, encoding? }
+// with a version in that range (anything else closes the connection).
+// Collectors that never send `welcome` get protocol 1: the pre-envelope
+// messages, where `id` is optional. From protocol 2 on, requests without an
+// `id` are invalid. With encoding "msgpack" (needs the optional
+// @msgpack/msgpack package and ws.msgpack), snapshots go out as msgpack binary
+// frames; binary frames from the collector are decoded the same way.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+const NOTIFICATIONS = new Set(["ack", "welcome", "enrolled", "enrollRejected"]);
+
+// Inbound fields in the config schema language (see validateConfig). Unknown
+// fields are allowed, so collectors can add some without breaking older agents.
+const ENVELOPE_SCHEMA = { type: "string", id: "any", v: "number", nonce: "string", ts: "number", sig: "string", "*": "any" };
+const MESSAGE_SCHEMAS = {
+  welcome: { protocolVersion: "number", encoding: ["json", "msgpack"], "*required": ["protocolVersion"] },
+  enrolled: { credential: "string", "*required": ["credential"] },
+  enrollRejected: { error: "string" },
+  rotateCredential: { credential: "string", "*required": ["credential"] },
+  ping: {},
+  getSnapshot: {},
+  refresh: {},
+  ack: { seq: "number", "*required": ["seq"] },
+  resync: {},
+  seqGap: { expected: "number" },
+  serviceAction: { service: "string", action: "string", "*required": ["service", "action"] },
+  getLogs: { service: "string", lines: "number", since: "any", "*required": ["service"] },
+  followLogs: { service: "string", lines: "number", since: "any", stream: "string", maxBytes: "number", "*required": ["service"] },
+  stopLogs: { stream: "string", "*required": ["stream"] },
+  getHistory: { service: "string" },
+  setConfig: { config: "object", replace: "boolean", "*required": ["config"] },
+  update: { version: "string", sha256: "string", url: "string", "*required": ["version", "sha256"] },
+  runInstall: { args: "string[]", env: "object?", restart: "boolean" },
+};
+
+// Loaded on first use; null when the package is not installed
+function loadMsgpack() {
+  if (msgpack === undefined) {
+    try {
+      msgpack = require("@msgpack/msgpack");
+    } catch (_) {
+      msgpack = null;
+    }
+  }
+  return msgpack;
+}
+
+const wsEncodings = () => (config.ws.msgpack && loadMsgpack() ? ["json", "msgpack"] : ["json"]);
+
+function protocolError(request, id, code, error, extra = {}) {
+  return { type: "error", id, request, code, error, ...extra };
+}
+
+function decodeMessage(raw, isBinary) {
+  let data;
+  if (isBinary) {
+    if (!loadMsgpack()) throw new Error("binary frame, but msgpack is not available");
+    data = msgpack.decode(raw);
+  } else {
+    data = JSON.parse(raw.toString());
+  }
+  if (!isPlainObject(data) || typeof data.type !== "string" || !data.type) {
+    throw new Error("expected an object with a string `type`");
+  }
+  return data;
+}
+
+// Problems with a message of a known type under protocol `version` (empty if valid)
+function messageErrors(data, version) {
+  const errors = validateConfig(data, { ...ENVELOPE_SCHEMA, ...MESSAGE_SCHEMAS[data.type] });
+  if (data.id !== undefined && typeof data.id !== "string" && typeof data.id !== "number") {
+    errors.push(`id: expected string or number, got ${typeOf(data.id)}`);
+  }
+  if (version >= 2 && data.id === undefined && !NOTIFICATIONS.has(data.type)) errors.push("id: required");
+  return errors;
+}
+
+// ---------- WS Client (two-way) ----------
+// Collector endpoints come from ws.urls (highest priority first) or ws.url. In
+// "failover" mode one connection walks the list: every reconnect starts at the
+// top and moves down on failure; while on a lower-priority endpoint the
+// preferred ones are probed every failbackSec. In "fanout" mode every endpoint
+// has its own connection. Each connection has its own heartbeat, backoff and
+// credential; the primary is the highest-priority one with a session up.
+// Sequenced messages go to every connected collector. The offline queue only
+// keeps what no collector received and an ack from any of them trims it, so in
+// fanout a collector that was down misses the deltas sent meanwhile; the
+// snapshot on reconnect is its new baseline. Replies to a request go only to
+// the collector that sent it.
+const CONTROL_COMMANDS = new Set([...SIGNED_COMMANDS, "getLogs", "followLogs", "stopLogs"]);
+let wsConns = []; // in priority order
+
+function wsLog(...args) {
+  console.log("[ws]", ...args);
+}
+
+function wsEndpoints() {
+  const w = config.ws;
+  if (!w.urls.length) return w.url ? [{ url: w.url, token: w.token, joinToken: w.joinToken, control: true, priority: 0 }] : [];
+  return w.urls
+    .filter((e) => e.url)
+    .map((e, i) => ({ url: e.url, token: e.token || "", joinToken: e.joinToken || "", control: e.control === true, priority: i }));
+}
+
+const connEndpoint = (conn) => conn.endpoints[conn.index];
+const connLabel = (conn) => conn.endpoints.map((ep) => ep.url).join(", ");
+const connOpen = (conn) => !!conn.ws && conn.ws.readyState === WebSocket.OPEN;
+const primaryConn = () => wsConns.find((c) => c.ready && connOpen(c)) || null;
+
+// Single-collector setups keep the plain log format
+function connLog(conn, ...args) {
+  if (conn.tagged) wsLog(`(${connEndpoint(conn).url})`, ...args);
+  else wsLog(...args);
+}
+
+function connSend(conn, obj) {
+  if (!conn.ready || !connOpen(conn)) return false;
+  try {
+    const msg = { v: conn.protocolVersion, ...obj };
+    if (conn.encoding === "msgpack" && msg.type === "snapshot") conn.ws.send(msgpack.encode(msg, { ignoreUndefined: true }));
+    else conn.ws.send(JSON.stringify(msg));
+    conn.lastSentAt = Date.now();
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function wsSend(obj) {
+  let sent = false;
+  for (const conn of wsConns) if (connSend(conn, obj)) sent = true;
+  // Not delivered: keep sequenced messages for replay after reconnect
+  if (!sent && obj.seq !== undefined) enqueue(obj);
+}
+
+const normalizePin = (pin) => pin.replace(/^sha256\//, "");
+
+// Collector certificate (or an issuer in its chain) must match one of ws.tls.pins
+function checkPinnedIdentity(host, cert) {
+  const err = tls.checkServerIdentity(host, cert);
+  if (err) return err;
+  const pins = config.ws.tls.pins.map(normalizePin);
+  const seen = [];
+  for (let c = cert; c && c.pubkey; c = c.issuerCertificate === c ? null : c.issuerCertificate) {
+    const pin = crypto.createHash("sha256").update(c.pubkey).digest("base64");
+    if (pins.includes(pin)) return undefined;
+    seen.push(pin);
+  }
+  return new Error(`collector certificate does not match ws.tls.pins (chain pins: ${seen.join(", ")})`);
+}
+
+function wsTlsOptions() {
+  const t = config.ws.tls;
+  const read = (p) => (p ? fs.readFileSync(p) : undefined);
+  return {
+    ca: read(t.ca),
+    cert: read(t.cert),
+    key: read(t.key),
+    passphrase: t.passphrase || undefined,
+    // Pinning only makes sense on a verified connection, so it overrides insecureSkipTlsVerify
+    rejectUnauthorized: t.pins.length > 0 || !config.ws.insecureSkipTlsVerify,
+    ...(t.pins.length ? { checkServerIdentity: checkPinnedIdentity } : {}),
+  };
+}
+
+// How the agent authenticates to the collector and verifies it; logged on
+// connect and sent in `hello`
+function wsAuthMode(ep) {
+  const t = config.ws.tls;
+  const secure = /^wss:/i.test(ep.url);
+  const methods = [];
+  if (secure && t.cert && t.key) methods.push("mtls");
+  const { kind } = wsConnectAuth(ep);
+  if (kind !== "none") methods.push(kind);
+  let verify = "verified";
+  if (!secure) verify = "plaintext";
+  else if (t.pins.length) verify = "pinned";
+  else if (config.ws.insecureSkipTlsVerify) verify = "insecure";
+  else if (t.ca) verify = "custom-ca";
+  return { mode: methods.join("+") || "none", tls: verify };
+}
+
+// Reconnect with fresh TLS material when the cert/key/CA files change
+let wsTlsWatched = [];
+let wsTlsReloadTimer = null;
+function watchWsTlsFiles() {
+  stopWatchingWsTlsFiles();
+  const t = config.ws.tls;
+  wsTlsWatched = [t.ca, t.cert, t.key].filter(Boolean);
+  for (const file of wsTlsWatched) {
+    fs.watchFile(file, { interval: 5000 }, (cur, prev) => {
+      if (cur.mtimeMs === prev.mtimeMs) return;
+      // cert and key usually change together; reconnect once
+      clearTimeout(wsTlsReloadTimer);
+      wsTlsReloadTimer = setTimeout(() => {
+        wsLog(`TLS file ${file} changed; reconnecting`);
+        reconnectWS("tls files changed");
+      }, 1000);
+    });
+  }
+}
+function stopWatchingWsTlsFiles() {
+  wsTlsWatched.forEach((file) => fs.unwatchFile(file));
+  wsTlsWatched = [];
+  clearTimeout(wsTlsReloadTimer);
+  wsTlsReloadTimer = null;
+}
+
+function scheduleReconnect(conn) {
+  if (conn.timerReconnect || conn.stopped) return;
+  if (!conn.downSince) conn.downSince = Date.now();
+  checkCollectorDown(conn);
+  const base = Math.max(100, config.ws.reconnectBaseMs || 1000);
+  const max = Math.max(base, config.ws.reconnectMaxMs || 30000);
+  const jitter = Math.floor(Math.random() * 200);
+  const backoff = Math.min(max, Math.floor(base * Math.pow(2, conn.attempts)));
+  const delay = backoff + jitter;
+  connLog(conn, `reconnecting in ${delay}ms (attempt ${conn.attempts + 1})`);
+  conn.timerReconnect = setTimeout(() => {
+    conn.timerReconnect = null;
+    connectWS(conn);
+  }, delay);
+}
+
+// After a session: start over at the top of the list. After a failed attempt:
+// next endpoint, backing off further once every endpoint has failed.
+function connFailed(conn, hadSession) {
+  if (hadSession || ++conn.index >= conn.endpoints.length) {
+    conn.index = 0;
+    conn.attempts++;
+  }
+  scheduleReconnect(conn);
+}
+
+// Decodes, validates and authorizes one inbound message, then dispatches it.
+// Never throws: every failure of a request ends in an error reply. Protocol 1
+// predates typed messages: there undecodable and unknown messages are dropped
+// and fields are left to the handlers' coercion (e.g. `lines: "200"`).
+async function handleMessage(conn, raw, isBinary) {
+  const strict = conn.protocolVersion >= 2;
+  let data;
+  try {
+    data = decodeMessage(raw, isBinary);
+  } catch (e) {
+    if (strict) connSend(conn, protocolError(null, null, "badMessage", e.message));
+    return;
+  }
+  const { type, id } = data;
+  const reply = (obj) => connSend(conn, obj);
+
+  // While enrolling, only the enrollment answer is accepted
+  if (!conn.ready && type !== "enrolled" && type !== "enrollRejected") return;
+
+  if (!MESSAGE_SCHEMAS[type]) {
+    if (strict) reply(protocolError(type, id, "unknownType", `unknown message type "${type}"`));
+    return;
+  }
+
+  const errors = strict ? messageErrors(data, conn.protocolVersion) : [];
+  if (errors.length) {
+    connLog(conn, `invalid ${type}: ${errors.join("; ")}`);
+    reply(protocolError(type, id, "invalidRequest", `invalid ${type}: ${errors[0]}`, { errors }));
+    return;
+  }
+
+  if (CONTROL_COMMANDS.has(type) && !connEndpoint(conn).control) {
+    connLog(conn, `rejected ${type}: collector is not a control endpoint`);
+    reply(protocolError(type, id, "forbidden", "forbidden: commands are not accepted from this collector (control: false)"));
+    return;
+  }
+
+  if (SIGNED_COMMANDS.has(type)) {
+    try {
+      verifyCommand(data);
+    } catch (e) {
+      connLog(conn, `rejected ${type}: ${e.message}`);
+      reply(protocolError(type, id, "unauthorized", `unauthorized: ${e.message}`));
+      return;
+    }
+  }
+
+  try {
+    await dispatchMessage(conn, data, reply);
+  } catch (e) {
+    connLog(conn, `${type} failed: ${e.message || e}`);
+    reply(protocolError(type, id, "internal", e.message || String(e)));
+  }
+}
+
+async function dispatchMessage(conn, data, reply) {
+  const { type, id } = data;
+  switch (type) {
+    // Answer to hello: the protocol version (and encoding) for the rest of the connection
+    case "welcome": {
+      const version = data.protocolVersion;
+      if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION || version > PROTOCOL_VERSION) {
+        connLog(conn, `collector chose protocol ${version}; we speak ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`);
+        reply(protocolError(type, id, "unsupportedVersion",
+          `protocol ${version} is not supported (${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`));
+        conn.ws.close(1002, "unsupported protocol version");
+        return;
+      }
+      conn.protocolVersion = version;
+      conn.encoding = data.encoding === "msgpack" && wsEncodings().includes("msgpack") ? "msgpack" : "json";
+      connLog(conn, `protocol ${version}, encoding ${conn.encoding}`);
+      return;
+    }
+
+    case "enrolled": {
+      if (conn.ready) return; // only valid as the answer to "enroll"
+      if (typeof data.credential !== "string" || !data.credential) {
+        connLog(conn, "enrollment answer without a credential");
+        conn.ws.close(1008, "no credential");
+        return;
+      }
+      try {
+        storeCredential(connEndpoint(conn).url, data.credential);
+      } catch (e) {
+        connLog(conn, `cannot store credential in ${credFile}: ${e.message}`);
+        conn.ws.close(1011, "cannot store credential");
+        return;
+      }
+      connLog(conn, `enrolled; credential stored in ${credFile}`);
+      await startSession(conn);
+      return;
+    }
+
+    case "enrollRejected": {
+      connLog(conn, `enrollment rejected: ${data.error || "no reason given"}`);
+      conn.ws.close(1000, "enrollment rejected");
+      return;
+    }
+
+    // New credential for the next handshakes; the current connection stays up
+    case "rotateCredential": {
+      if (typeof data.credential !== "string" || !data.credential) {
+        reply({ type: "credentialRotated", id, ok: false, error: "missing credential" });
+        return;
+      }
+      try {
+        storeCredential(connEndpoint(conn).url, data.credential);
+        connLog(conn, "credential rotated");
+        reply({ type: "credentialRotated", id, ok: true });
+      } catch (e) {
+        reply({ type: "credentialRotated", id, ok: false, error: e.message });
+      }
+      return;
+    }
+
+    case "ping":
+      reply({ type: "pong", id, ts: Date.now() });
+      return;
+
+    case "getSnapshot": {
+      const snap = await takeSnapshot();
+      reply(snapshotMessage(snap, { id }, false)); // echo request id if provided
+      return;
+    }
+
+    case "refresh": {
+      // Any differences go out as delta events from takeSnapshot()
+      const snap = await takeSnapshot();
+      reply({ type: "ok", id, takenAt: snap.takenAt, count: snap.services.length, lastSeq: reportSeq });
+      return;
+    }
+
+    // Collector has stored everything up to `seq`
+    case "ack": {
+      const seq = Number(data.seq);
+      if (Number.isFinite(seq)) trimQueue(seq);
+      return;
+    }
+
+    // Collector lost track of the event stream (e.g. it saw a gap in `seq`);
+    // send the current state as a new baseline.
+    case "resync":
+    case "seqGap": {
+      if (data.expected !== undefined) {
+        connLog(conn, `collector reported sequence gap (expected ${data.expected}, at ${reportSeq}); resyncing`);
+      }
+      const snap = lastSnapshot.takenAt ? lastSnapshot : await takeSnapshot();
+      reply(snapshotMessage(snap, { id, resync: true }, false));
+      return;
+    }
+
+    case "serviceAction": {
+      const { service, action } = data;
+      try {
+        const res = await runServiceAction(service, action);
+        reply({
+          type: "actionResult",
+          id,
+          service,
+          action,
+          ok: res.code === 0,
+          code: res.code,
+          stderr: res.stderr,
+          state: res.state,
+        });
+      } catch (e) {
+        reply({ type: "actionResult", id, service, action, ok: false, error: e.message || String(e) });
+      }
+      return;
+    }
+
+    case "getLogs": {
+      try {
+        const res = await getLogs(data);
+        reply({ type: "logs", id, ...res });
+      } catch (e) {
+        reply({ type: "logs", id, service: data.service, ok: false, error: e.message || String(e) });
+      }
+      return;
+    }
+
+    case "followLogs": {
+      try {
+        reply({ type: "logsStarted", id, ...followLogs(data, id, conn) });
+      } catch (e) {
+        reply({ type: "logsStarted", id, service: data.service, ok: false, error: e.message || String(e) });
+      }
+      return;
+    }
+
+    case "getHistory": {
+      // One service, or every service's history when `service` is omitted
+      if (data.service === undefined) {
+        const services = [...serviceHistory.keys()].sort().map(getServiceHistory);
+        reply({ type: "history", id, ok: true, services });
+        return;
+      }
+      const history = getServiceHistory(String(data.service));
+      if (!history) reply({ type: "history", id, service: data.service, ok: false, error: "unknown service" });
+      else reply({ type: "history", id, ok: true, ...history });
+      return;
+    }
+
+    case "stopLogs": {
+      const st = logStreams.get(String(data.stream));
+      if (!st || st.conn !== conn || !endLogStream(st.id, "stopped", id)) {
+        reply({ type: "logEnd", id, stream: data.stream, ok: false, error: "unknown stream" });
+      }
+      return;
+    }
+
+    case "setConfig": {
+      try {
+        await setConfigFromCommand(data, (res) => reply({ type: "configResult", id, ok: true, file: res.file }));
+      } catch (e) {
+        reply({ type: "configResult", id, ok: false, error: e.message, errors: e.errors });
+      }
+      return;
+    }
+
+    case "update": {
+      if (!config.security.allowRemoteUpdate) {
+        reply({ type: "updateResult", id, ok: false, error: "remote update is disabled" });
+        return;
+      }
+      try {
+        const res = await runUpdate(data);
+        reply({ type: "updateResult", id, ok: true, status: "restarting", ...res });
+        setTimeout(() => { restartSelf(); }, 500);
+      } catch (e) {
+        reply({ type: "updateResult", id, ok: false, error: e.message || String(e) });
+      }
+      return;
+    }
+
+    case "runInstall": {
+        if (!config.security.allowRemoteInstall) {
+          reply({ type: "installResult", id, ok: false, error: "remote install is disabled" });
+          return;
+        }
+        const restart = !!data.restart;
+        try {
+          const args = Array.isArray(data.args) ? data.args : [];
+          if (!args.every((a) => typeof a === "string")) throw new Error("args must be strings");
+          const env = installEnvFromCommand(data.env);
+          const res = await runLocalInstallSh(args, env);
+          reply({ type: "installResult", id, ok: true, stdout: res.stdout });
+          if (restart) setTimeout(() => { restartSelf(); }, 500);
+        } catch (e) {
+          reply({ type: "installResult", id, ok: false, error: e.message || String(e) });
+        }
+        return;
+      }
+  }
+}
+
+function startHeartbeat(conn) {
+  stopHeartbeat(conn);
+  const interval = Math.max(5, config.ws.heartbeatSec || 25) * 1000;
+  conn.timerHeartbeat = setInterval(() => {
+    if (!connOpen(conn)) return;
+    // Use WebSocket-level ping frame; ws will auto emit 'pong'
+    try {
+      conn.ws.ping();
+    } catch (_) {}
+    // Detect stale
+    const now = Date.now();
+    if (conn.lastPongAt && now - conn.lastPongAt > interval * 2) {
+      connLog(conn, "heartbeat timeout; closing socket");
+      try { conn.ws.terminate(); } catch (_) {}
+    }
+  }, Math.floor((config.ws.heartbeatSec || 25) * 1000));
+}
+
+function stopHeartbeat(conn) {
+  if (conn.timerHeartbeat) {
+    clearInterval(conn.timerHeartbeat);
+    conn.timerHeartbeat = null;
+  }
+}
+
+// Handshake URL + options for `ep` (auth header, identity hints, TLS material)
+function wsConnectOptions(ep, auth, params = {}) {
+  const headers = {};
+  if (auth.token) headers["authorization"] = `Bearer ${auth.token}`;
+
+  const url = new URL(ep.url);
+  // Add identity hints in query (server can cross-check against headers)
+  url.searchParams.set("systemId", SYSTEM_ID);
+  url.searchParams.set("host", HOSTNAME);
+  if (auth.kind === "enroll") url.searchParams.set("enroll", "1");
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+
+  return {
+    url: url.toString(),
+    options: {
+      headers,
+      perMessageDeflate: true,
+      ...wsTlsOptions(),
+    },
+  };
+}
+
+// Handshake only (`?probe=1`, closed right after it succeeds): does `ep` accept us?
+// Resolves { ok, error }; used for failback and by `svc-agent doctor`.
+function probeEndpoint(ep) {
+  return new Promise((resolve) => {
+    let socket = null;
+    const done = (error) => {
+      clearTimeout(timer);
+      try { socket && socket.terminate(); } catch (_) {}
+      resolve({ ok: !error, error });
+    };
+    const timer = setTimeout(() => done("no handshake within 10s"), 10000);
+    try {
+      const { url, options } = wsConnectOptions(ep, wsConnectAuth(ep), { probe: "1" });
+      socket = new WebSocket(url, options);
+    } catch (e) {
+      done(e.message);
+      return;
+    }
+    socket.on("open", () => done(null));
+    socket.on("unexpected-response", (_req, res) => {
+      res.resume();
+      done(`handshake rejected: HTTP ${res.statusCode}`);
     });
+    socket.on("error", (e) => done(e.message));
+  });
+}
 
-    if (config.reporting.sendOnConnect) {
-      const snap = await takeSnapshot();
-      wsSend({
-        type: "snapshot",
+// Failover: while connected below the top of the list, go back to the first
+// preferred endpoint that answers again (closing makes the reconnect start at the top)
+function startFailback(conn) {
+  stopFailback(conn);
+  if (conn.index === 0) return;
+  conn.timerFailback = setInterval(async () => {
+    if (conn.probing) return;
+    conn.probing = true;
+    try {
+      for (const ep of conn.endpoints.slice(0, conn.index)) {
+        if (!(await probeEndpoint(ep)).ok) continue;
+        if (!conn.timerFailback) return; // session ended meanwhile
+        connLog(conn, `${ep.url} is reachable again; failing back`);
+        conn.attempts = 0;
+        conn.ws.close(1000, "failing back");
+        return;
+      }
+    } finally {
+      conn.probing = false;
+    }
+  }, Math.max(30, config.ws.failbackSec || 300) * 1000);
+}
+
+function stopFailback(conn) {
+  clearInterval(conn.timerFailback);
+  conn.timerFailback = null;
+}
+
+function connectWS(conn) {
+  const ep = connEndpoint(conn);
+  const auth = wsConnectAuth(ep);
+  let target;
+  try {
+    target = wsConnectOptions(ep, auth);
+  } catch (e) {
+    connLog(conn, `cannot read TLS files: ${e.message}`);
+    connFailed(conn, false);
+    return;
+  }
+
+  const socket = new WebSocket(target.url, target.options);
+  conn.ws = socket;
+  conn.ready = false;
+  conn.protocolVersion = MIN_PROTOCOL_VERSION; // until the collector's `welcome`
+  conn.encoding = "json";
+
+  socket.on("open", async () => {
+    conn.lastPongAt = Date.now();
+    startHeartbeat(conn);
+    if (auth.kind === "enroll") {
+      connLog(conn, "connected; enrolling with the join token");
+      socket.send(JSON.stringify({
+        v: conn.protocolVersion,
+        type: "enroll",
         systemId: SYSTEM_ID,
         host: HOSTNAME,
-        takenAt: snap.takenAt,
-        services: snap.services,
-        agent: { version: "2.0.0-ws", platform: process.platform, node: process.version },
-      });
+        joinToken: ep.joinToken,
+        agent: agentInfo(),
+      }));
+      const timeoutSec = Math.max(1, config.ws.enrollTimeoutSec);
+      conn.timerEnroll = setTimeout(() => {
+        connLog(conn, `no answer to enroll within ${timeoutSec}s`);
+        socket.terminate(); // 'close' schedules the reconnect
+      }, timeoutSec * 1000);
+      return; // the session starts once "enrolled" arrives
     }
+    await startSession(conn);
   });
 
-  ws.on("message", (data) => {
-    try {
-      handleMessage(data.toString());
-    } catch (e) {
-      wsLog("message error", e.message);
+  // The collector refused the handshake (e.g. a revoked credential)
+  socket.on("unexpected-response", (_req, res) => {
+    res.resume();
+    connLog(conn, `handshake rejected: HTTP ${res.statusCode}`);
+    if (auth.kind === "credential" && (res.statusCode === 401 || res.statusCode === 403)) {
+      dropCredential(ep.url);
+      connLog(conn, ep.joinToken
+        ? "stored credential rejected; re-enrolling on the next attempt"
+        : "stored credential rejected and no join token to re-enroll with");
     }
+    socket.terminate(); // 'close' schedules the reconnect
+  });
+
+  socket.on("message", (data, isBinary) => {
+    handleMessage(conn, data, isBinary).catch((e) => connLog(conn, "message error", e.message));
   });
 
-  ws.on("pong", () => {
-    lastPongAt = Date.now();
+  socket.on("pong", () => {
+    conn.lastPongAt = Date.now();
   });
 
-  ws.on("close", (code, reason) => {
-    stopHeartbeat();
-    wsLog(`closed (${code}) ${reason ? reason.toString() : ""}`);
-    reconnectAttempts++;
-    scheduleReconnect();
+  socket.on("close", (code, reason) => {
+    const hadSession = conn.ready;
+    conn.ready = false;
+    clearTimeout(conn.timerEnroll);
+    stopHeartbeat(conn);
+    stopFailback(conn);
+    stopAllLogStreams("disconnected", conn);
+    connLog(conn, `closed (${code}) ${reason ? reason.toString() : ""}`);
+    if (!conn.stopped) connFailed(conn, hadSession);
   });
 
-  ws.on("error", (err) => {
-    wsLog("error:", err.message);
+  socket.on("error", (err) => {
+    connLog(conn, "error:", err.message);
     // socket will close, reconnect will schedule in 'close'
   });
 }
 
+// Authenticated connection is up: hello, queued messages, baseline snapshot
+async function startSession(conn) {
+  const ep = connEndpoint(conn);
+  clearTimeout(conn.timerEnroll);
+  conn.ready = true;
+  conn.attempts = 0; // not on 'open': a rejected enrollment keeps backing off
+  conn.downSince = null;
+  conn.connectedAt = Date.now();
+  const auth = wsAuthMode(ep);
+  connLog(conn, `connected (auth=${auth.mode}, tls=${auth.tls}, control=${ep.control})`);
+  if (auth.tls === "insecure") connLog(conn, "WARNING: collector certificate is not verified (ws.insecureSkipTlsVerify)");
+  collectorReachable(conn);
+  startFailback(conn);
+  const primary = primaryConn() || conn;
+
+  // Say hello
+  connSend(conn, {
+    type: "hello",
+    systemId: SYSTEM_ID,
+    host: HOSTNAME,
+    caps: {
+      docker: !!config.docker.enabled,
+      http: !!config.http.enabled,
+      hostMetrics: !!config.host.enabled,
+      plugins: plugins.filter((p) => p.detected).map((p) => p.name),
+      platform: process.platform,
+    },
+    agent: { version: AGENT_VERSION, node: process.version },
+    auth,
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    encodings: wsEncodings(),
+    // Which collector this is to the agent, and which one is primary right now
+    endpoint: { url: ep.url, priority: ep.priority, control: ep.control },
+    primary: connEndpoint(primary).url,
+    mode: config.ws.mode,
+    lastSeq: reportSeq,
+    queued: queue.length,
+    ts: Date.now(),
+  });
+  reportPendingUpdate();
+
+  // Whatever happened while we were offline, in original order
+  replayQueue(conn);
+
+  // Full snapshot as the baseline for subsequent delta events
+  if (config.reporting.sendOnConnect) {
+    const snap = await takeSnapshot();
+    wsSend(snapshotMessage(snap, { resync: true }));
+  }
+}
+
+// One connection per endpoint (fanout) or one walking the list (failover)
+function startWS() {
+  stopWS();
+  const endpoints = wsEndpoints();
+  if (!endpoints.length) {
+    console.error("[svc-agent] No ws.url or ws.urls configured; cannot connect.");
+    return;
+  }
+  const groups = config.ws.mode === "fanout" ? endpoints.map((ep) => [ep]) : [endpoints];
+  wsConns = groups.map((eps) => ({
+    endpoints: eps,
+    tagged: endpoints.length > 1, // prefix log lines with the endpoint
+    index: 0,
+    ws: null,
+    ready: false, // hello sent; false while connecting or enrolling
+    protocolVersion: MIN_PROTOCOL_VERSION,
+    encoding: "json",
+    stopped: false,
+    attempts: 0,
+    lastPongAt: 0,
+    downSince: null, // first failed/closed connection since the last session
+    downAlertedAt: null,
+    connectedAt: null, // start of the current session
+    lastSentAt: null,
+    probing: false,
+    timerHeartbeat: null,
+    timerReconnect: null,
+    timerFailback: null,
+    timerEnroll: null,
+  }));
+  wsConns.forEach(connectWS);
+}
+
+function stopWS(reason = "shutting down") {
+  for (const conn of wsConns) {
+    conn.stopped = true;
+    clearTimeout(conn.timerReconnect);
+    clearTimeout(conn.timerEnroll);
+    stopHeartbeat(conn);
+    stopFailback(conn);
+    stopAllLogStreams("disconnected", conn);
+    conn.ready = false;
+    if (conn.ws && conn.ws.readyState !== WebSocket.CLOSED) {
+      try { conn.ws.close(1000, reason); } catch (_) {}
+    }
+  }
+  wsConns = [];
+}
+
 // ---------- Optional local HTTP (disabled by default) ----------
 let httpServer = null;
 let gaugeServiceHealthy = null;
 let gaugeServicesCount = null;
+let serviceValueGauges = [];
+
+// Per-service numeric fields exported as gauges (only where the platform provides them)
+const SERVICE_VALUE_METRICS = [
+  ["tds_service_restarts", "Automatic restarts of the unit (systemd NRestarts)", (s) => s.restarts],
+  ["tds_service_flapping", "1 if the service is flapping (see config.history)", (s) => (s.flapping ? 1 : 0)],
+  ["tds_service_missed_run", "1 if a scheduled job's last run is older than its jobs.maxAgeSec",
+    (s) => (s.maxAgeSec == null ? null : s.missed ? 1 : 0)],
+  ["tds_service_last_run_timestamp_seconds", "Unix time a scheduled job last ran (timers, calendar jobs, heartbeats)",
+    (s) => (s.lastRunAt ? Date.parse(s.lastRunAt) / 1000 : null)],
+  ["tds_service_memory_bytes", "Memory used by the unit's cgroup", (s) => s.memoryBytes],
+  ["tds_service_cpu_usage_seconds", "CPU time consumed by the unit's cgroup",
+    (s) => (s.cpuUsageNs == null ? null : s.cpuUsageNs / 1e9)],
+  ["tds_service_tasks", "Tasks (threads) in the unit's cgroup", (s) => s.tasks],
+  ["tds_service_exec_main_status", "Exit status of the unit's main process", (s) => s.execMainStatus],
+  ["tds_service_active_enter_timestamp_seconds", "Unix time the unit last entered the active state",
+    (s) => (s.activeEnterTimestamp ? Date.parse(s.activeEnterTimestamp) / 1000 : null)],
+];
+
+// Host gauges: [name, help, labelNames, (hostMetrics) => [[labels, value], ...]]
+const HOST_METRICS = [
+  ["tds_host_uptime_seconds", "Host uptime", [], (h) => [[{}, h.uptimeSec]]],
+  ["tds_host_load", "Load average", ["window"],
+    (h) => [[{ window: "1m" }, h.load.load1], [{ window: "5m" }, h.load.load5], [{ window: "15m" }, h.load.load15]]],
+  ["tds_host_cpu_usage_percent", "CPU usage since the previous sample", [], (h) => [[{}, h.cpuUsagePct]]],
+  ["tds_host_memory_total_bytes", "Physical memory", [], (h) => [[{}, h.memory.totalBytes]]],
+  ["tds_host_memory_available_bytes", "Memory available without swapping", [], (h) => [[{}, h.memory.availableBytes]]],
+  ["tds_host_swap_total_bytes", "Swap size", [], (h) => [[{}, h.memory.swapTotalBytes]]],
+  ["tds_host_swap_free_bytes", "Free swap", [], (h) => [[{}, h.memory.swapFreeBytes]]],
+  ["tds_host_disk_size_bytes", "Filesystem size", ["mount"], (h) => h.disks.map((d) => [{ mount: d.mount }, d.sizeBytes])],
+  ["tds_host_disk_used_bytes", "Filesystem space used", ["mount"], (h) => h.disks.map((d) => [{ mount: d.mount }, d.usedBytes])],
+  ["tds_host_disk_inodes_used_percent", "Filesystem inodes used", ["mount"],
+    (h) => h.disks.map((d) => [{ mount: d.mount }, d.inodesUsedPct])],
+  ["tds_host_network_receive_bytes", "Bytes received", ["iface"], (h) => h.network.map((n) => [{ iface: n.iface }, n.rxBytes])],
+  ["tds_host_network_transmit_bytes", "Bytes sent", ["iface"], (h) => h.network.map((n) => [{ iface: n.iface }, n.txBytes])],
+  ["tds_host_network_errors", "Receive + transmit errors", ["iface"],
+    (h) => h.network.map((n) => [{ iface: n.iface }, n.rxErrors + n.txErrors])],
+];
+let hostGauges = [];
+
+// Per-collector gauges from snapshot.collectors (built-ins and plugins): [name, help, (status) => value]
+const COLLECTOR_METRICS = [
+  ["tds_collector_up", "1 if the collector's last run succeeded, 0 if it failed", (c) =>
+    (c.status === "not-detected" ? null : c.status === "ok" ? 1 : 0)],
+  ["tds_collector_duration_seconds", "Duration of the collector's last run", (c) =>
+    (c.durationMs == null ? null : c.durationMs / 1000)],
+  ["tds_collector_services", "Services reported by the collector's last successful run", (c) => c.count],
+];
+let collectorGauges = [];
+
+// config.services metadata as labels on every per-service series ("" when unset)
+const SERVICE_META_LABELS = ["display_name", "owner", "criticality", "tags"];
+const serviceMetaLabels = (s) => ({
+  display_name: s.displayName || "",
+  owner: s.owner || "",
+  criticality: s.criticality || "",
+  tags: (s.tags || []).join(","),
+});
 
 function updateMetrics(snapshot) {
   if (!prom || !gaugeServiceHealthy || !gaugeServicesCount) return;
+  if (snapshot.hostMetrics) {
+    for (const { gauge, values } of hostGauges) {
+      gauge.reset();
+      for (const [labels, v] of values(snapshot.hostMetrics)) {
+        if (v != null && !isNaN(v)) gauge.set({ host: HOSTNAME, ...labels }, v);
+      }
+    }
+  }
+  for (const { gauge, value } of collectorGauges) {
+    gauge.reset();
+    for (const c of snapshot.collectors || []) {
+      const v = value(c);
+      if (v != null) gauge.set({ host: HOSTNAME, collector: c.name, source: c.source }, v);
+    }
+  }
+  // Reset so services that disappeared don't linger with their last value
+  gaugeServiceHealthy.reset();
+  serviceValueGauges.forEach(({ gauge }) => gauge.reset());
   gaugeServicesCount.set({ host: HOSTNAME }, snapshot.services.length);
   snapshot.services.forEach((s) => {
+    const meta = serviceMetaLabels(s);
     gaugeServiceHealthy.set(
-      { host: s.host, service: s.service, platform: s.platform },
+      { host: s.host, service: s.service, platform: s.platform, ...meta },
       s.healthy ? 1 : 0
     );
+    for (const { gauge, value } of serviceValueGauges) {
+      const v = value(s);
+      if (v != null) gauge.set({ host: s.host, service: s.service, ...meta }, v);
+    }
+  });
+}
+
+// Token from "Authorization: Bearer <t>", or the password of "Basic <user:t>"
+function requestToken(req) {
+  const m = /^(Bearer|Basic)\s+(\S+)$/i.exec((req.get("authorization") || "").trim());
+  if (!m) return null;
+  if (m[1].toLowerCase() === "bearer") return m[2];
+  const decoded = Buffer.from(m[2], "base64").toString("utf8");
+  const i = decoded.indexOf(":");
+  return i >= 0 ? decoded.slice(i + 1) : null;
+}
+
+// Compares digests so neither content nor length leaks through timing
+function tokenMatches(given, expected) {
+  if (!given || !expected) return false;
+  const digest = (v) => crypto.createHash("sha256").update(v).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// Express middleware for scope "read" or "admin" (the admin token also reads)
+function requireScope(scope) {
+  return (req, res, next) => {
+    const { readToken, adminToken } = config.http.auth;
+    if (!readToken && !adminToken) return next();
+    const token = requestToken(req);
+    if (tokenMatches(token, adminToken)) return next();
+    if (tokenMatches(token, readToken)) {
+      if (scope === "read") return next();
+      return res.status(403).json({ ok: false, error: "admin token required" });
+    }
+    res.set("WWW-Authenticate", 'Bearer realm="tds-svc-agent", Basic realm="tds-svc-agent"');
+    res.status(401).json({ ok: false, error: "unauthorized" });
+  };
+}
+
+function httpSocketMode() {
+  const mode = config.http.socketMode;
+  if (!/^0?[0-7]{3}$/.test(mode)) throw new Error(`http.socketMode: expected an octal mode like "0660", got "${mode}"`);
+  return parseInt(mode, 8);
+}
+
+// A socket file left by an unclean exit would make listen() fail with EADDRINUSE.
+// Removed only if nothing accepts on it: a live one may be another agent's.
+// Resolves false when the socket is in use.
+function removeStaleSocket(file) {
+  try {
+    if (!fs.lstatSync(file).isSocket()) return Promise.resolve(true);
+  } catch (_) {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const sock = net.connect(file);
+    sock.setTimeout(1000, () => {
+      sock.destroy();
+      resolve(false);
+    });
+    sock.once("connect", () => {
+      sock.destroy();
+      resolve(false);
+    });
+    sock.once("error", (e) => {
+      if (e.code !== "ECONNREFUSED") return resolve(false);
+      try { fs.unlinkSync(file); } catch (_) {}
+      resolve(true);
+    });
   });
 }
 
+// The socket file is created with `mode` (through the umask), so it is never
+// reachable with looser permissions than intended
+function listenUnix(server, file, mode, cb) {
+  const prevMask = process.umask(0o777 & ~mode);
+  try {
+    server.listen(file, cb);
+  } finally {
+    process.umask(prevMask);
+  }
+}
+
+let lastHttpRefreshAt = 0;
+
 async function maybeStartHttp() {
   if (!config.http || !config.http.enabled) return;
+  const { socket, tls: tlsFiles, auth } = config.http;
+  const socketMode = socket ? httpSocketMode() : null;
+  const tlsOptions = tlsFiles.cert && tlsFiles.key
+    ? { cert: fs.readFileSync(tlsFiles.cert), key: fs.readFileSync(tlsFiles.key) }
+    : null;
+  if (socket && !(await removeStaleSocket(socket))) {
+    console.warn(`[svc-agent] HTTP socket ${socket} is in use (another agent running?); not listening`);
+    return;
+  }
 
   express = require("express");
   prom = require("prom-client");
@@ -616,13 +4583,14 @@ async function maybeStartHttp() {
   const app = express();
   app.use(express.json());
 
+  prom.register.clear(); // restarted after a config reload: metrics are registered again below
   const collectDefaultMetrics = prom.collectDefaultMetrics;
   collectDefaultMetrics();
 
   gaugeServiceHealthy = new prom.Gauge({
     name: "tds_service_healthy",
     help: "1 if the service is healthy, else 0",
-    labelNames: ["host", "service", "platform"],
+    labelNames: ["host", "service", "platform", ...SERVICE_META_LABELS],
   });
 
   gaugeServicesCount = new prom.Gauge({
@@ -631,8 +4599,24 @@ async function maybeStartHttp() {
     labelNames: ["host"],
   });
 
+  hostGauges = HOST_METRICS.map(([name, help, labelNames, values]) => ({
+    gauge: new prom.Gauge({ name, help, labelNames: ["host", ...labelNames] }),
+    values,
+  }));
+
+  collectorGauges = COLLECTOR_METRICS.map(([name, help, value]) => ({
+    gauge: new prom.Gauge({ name, help, labelNames: ["host", "collector", "source"] }),
+    value,
+  }));
+
+  serviceValueGauges = SERVICE_VALUE_METRICS.map(([name, help, value]) => ({
+    gauge: new prom.Gauge({ name, help, labelNames: ["host", "service", ...SERVICE_META_LABELS] }),
+    value,
+  }));
+  updateMetrics(lastSnapshot);
+
   // Minimal safe endpoints (local by default)
-  app.get("/health", async (_req, res) => {
+  app.get("/health", requireScope("read"), async (_req, res) => {
     if (!lastSnapshot.takenAt) await takeSnapshot();
     res.json({
       ok: true,
@@ -640,34 +4624,157 @@ async function maybeStartHttp() {
       systemId: SYSTEM_ID,
       takenAt: lastSnapshot.takenAt,
       servicesCount: lastSnapshot.services.length,
-      agent: { version: "2.0.0-ws", platform: process.platform, node: process.version },
+      collectors: lastSnapshot.collectors,
+      agent: agentInfo(),
     });
   });
 
-  app.get("/services", async (_req, res) => {
+  app.get("/services", requireScope("read"), async (_req, res) => {
     if (!lastSnapshot.takenAt) await takeSnapshot();
     res.json(lastSnapshot);
   });
 
-  app.post("/refresh", async (_req, res) => {
+  app.get("/services/:name/history", requireScope("read"), async (req, res) => {
+    if (!lastSnapshot.takenAt) await takeSnapshot();
+    const history = getServiceHistory(req.params.name);
+    if (!history) return res.status(404).json({ ok: false, error: "unknown service" });
+    res.json(history);
+  });
+
+  // Heartbeat from a cron script: POST /ping/<job>, optional JSON { status: "ok"|"fail", message }
+  app.post("/ping/:job", requireScope("admin"), (req, res) => {
+    try {
+      const body = req.body || {};
+      res.json({ ok: true, ...recordHeartbeat(req.params.job, { status: body.status, message: body.message }) });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.post("/refresh", requireScope("admin"), async (_req, res) => {
+    const waitMs = lastHttpRefreshAt + config.http.refreshMinIntervalSec * 1000 - Date.now();
+    if (waitMs > 0) {
+      res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ ok: false, error: "refresh rate limited", takenAt: lastSnapshot.takenAt });
+    }
+    lastHttpRefreshAt = Date.now();
     const snap = await takeSnapshot();
-    updateMetrics(snap);
     res.json({ ok: true, takenAt: snap.takenAt, services: snap.services.length });
   });
 
   if (config.http.prometheus) {
-    app.get("/metrics", async (_req, res) => {
+    app.get("/metrics", requireScope("read"), async (_req, res) => {
       res.set("Content-Type", prom.register.contentType);
       res.end(await prom.register.metrics());
     });
   }
 
-  await new Promise((resolve) => {
-    httpServer = app.listen(config.http.port, config.http.bind, resolve);
+  const server = tlsOptions ? https.createServer(tlsOptions, app) : http.createServer(app);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    const listening = () => {
+      server.off("error", reject);
+      resolve();
+    };
+    if (socket) listenUnix(server, socket, socketMode, listening);
+    else server.listen(config.http.port, config.http.bind, listening);
   });
-  console.log(
-    `[svc-agent] HTTP ${config.http.bind}:${config.http.port} (enabled=${config.http.enabled})`
-  );
+  httpServer = server;
+
+  const where = socket ? `unix:${socket} (mode ${config.http.socketMode})` : `${config.http.bind}:${config.http.port}`;
+  const authOn = !!(auth.readToken || auth.adminToken);
+  console.log(`[svc-agent] HTTP${tlsOptions ? "S" : ""} ${where} (enabled=${config.http.enabled}, auth=${authOn ? "on" : "off"})`);
+  if (!socket && !authOn && !["127.0.0.1", "::1", "localhost"].includes(config.http.bind)) {
+    console.warn(`[svc-agent] WARNING: HTTP API on ${config.http.bind} without auth (set http.auth.readToken/adminToken)`);
+  }
+}
+
+// ---------- Control socket ----------
+// What `svc-agent status` asks the running agent: one JSON line in
+// ({ "cmd": "status" }), one JSON line out. The socket is 0600, so only the
+// agent's user (and root) can use it.
+let controlServer = null;
+
+const controlSocketPath = () => config.control.socket || stateFilePath(".sock");
+
+function connStatus(conn) {
+  const ep = connEndpoint(conn);
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  let state = "connecting";
+  if (conn.ready && connOpen(conn)) state = "connected";
+  else if (conn.timerReconnect) state = "waiting"; // backing off before the next attempt
+  else if (connOpen(conn)) state = "enrolling";
+  return {
+    url: ep.url,
+    endpoints: conn.endpoints.map((e) => e.url),
+    control: ep.control,
+    state,
+    primary: conn === primaryConn(),
+    protocolVersion: conn.protocolVersion,
+    encoding: conn.encoding,
+    connectedAt: conn.ready ? iso(conn.connectedAt) : null,
+    lastSentAt: iso(conn.lastSentAt),
+    reconnectAttempts: conn.attempts,
+    downSince: iso(conn.downSince),
+  };
+}
+
+function agentStatus() {
+  return {
+    host: HOSTNAME,
+    systemId: SYSTEM_ID,
+    agent: agentInfo(),
+    pid: process.pid,
+    startedAt: AGENT_STARTED_AT,
+    configFile,
+    ws: { mode: config.ws.mode, connections: wsConns.map(connStatus) },
+    lastSnapshotAt: lastSnapshot.takenAt,
+    services: lastSnapshot.services.length,
+    unhealthy: lastSnapshot.services.filter((s) => !s.healthy).map((s) => s.service),
+    lastSeq: reportSeq,
+    queued: queue.length,
+    collectors: collectorReport(),
+  };
+}
+
+async function startControlSocket() {
+  stopControlSocket();
+  if (!config.control.enabled) return;
+  const file = controlSocketPath();
+  if (!(await removeStaleSocket(file))) {
+    console.warn(`[svc-agent] control socket ${file} is in use (another agent running?); not listening`);
+    return;
+  }
+  const server = net.createServer((sock) => {
+    let buf = "";
+    sock.setEncoding("utf8");
+    sock.setTimeout(5000, () => sock.destroy());
+    sock.on("error", () => {});
+    sock.on("data", (d) => {
+      buf += d;
+      const nl = buf.indexOf("\n");
+      if (nl < 0) {
+        if (buf.length > 64 * 1024) sock.destroy();
+        return;
+      }
+      let req = null;
+      try { req = JSON.parse(buf.slice(0, nl)); } catch (_) {}
+      const res = req && req.cmd === "status"
+        ? { ok: true, status: agentStatus() }
+        : { ok: false, error: "unknown command" };
+      sock.end(JSON.stringify(res) + "\n");
+    });
+  });
+  server.on("error", (e) => console.warn(`[svc-agent] control socket ${file}: ${e.message}`));
+  listenUnix(server, file, 0o600);
+  controlServer = { server, file };
+}
+
+function stopControlSocket() {
+  if (!controlServer) return;
+  const { server } = controlServer;
+  controlServer = null;
+  server.close(); // also unlinks the socket file
 }
 
 // ---------- Periodic reporting ----------
@@ -676,16 +4783,12 @@ function startPeriodicReports() {
   const ms = Math.max(5, config.reporting.intervalSec || 30) * 1000;
   stopPeriodicReports();
   timerReport = setInterval(async () => {
+    // Changes since the previous snapshot are pushed as delta events
     const snap = await takeSnapshot();
-    updateMetrics(snap);
-    wsSend({
-      type: "snapshot",
-      systemId: SYSTEM_ID,
-      host: HOSTNAME,
-      takenAt: snap.takenAt,
-      services: snap.services,
-      agent: { version: "2.0.0-ws", platform: process.platform, node: process.version },
-    });
+    // Resource numbers change every interval; send them as-is (not sequenced/queued)
+    if (snap.hostMetrics) {
+      wsSend({ type: "hostMetrics", systemId: SYSTEM_ID, host: HOSTNAME, metrics: snap.hostMetrics });
+    }
   }, ms);
 }
 function stopPeriodicReports() {
@@ -693,23 +4796,411 @@ function stopPeriodicReports() {
   timerReport = null;
 }
 
+// ---------- Config reload ----------
+// SIGHUP, a change to the config file, or a `setConfig` command load a new
+// config; only subsystems whose section changed are restarted, and the WS
+// connection is kept unless ws.* changed.
+const sectionChanged = (a, b, key) => JSON.stringify(a[key]) !== JSON.stringify(b[key]);
+
+async function stopHttp() {
+  if (!httpServer) return;
+  const server = httpServer;
+  httpServer = null;
+  gaugeServiceHealthy = null;
+  gaugeServicesCount = null;
+  await new Promise((resolve) => server.close(() => resolve()));
+}
+
+function reconnectWS(reason = "config changed") {
+  stopWS(reason);
+  startWS();
+}
+
+// `onApplied` runs before the WS reconnect, so the answer to a setConfig still
+// goes out on the connection that asked for it
+async function applyConfig(prev, onApplied = () => {}) {
+  const wsChanged = sectionChanged(prev, config, "ws");
+  if (wsChanged) watchWsTlsFiles();
+  if (sectionChanged(prev, config, "reporting")) startPeriodicReports();
+  if (sectionChanged(prev, config, "checks")) startProbes();
+  if (sectionChanged(prev, config, "docker")) startDockerEvents();
+  if (sectionChanged(prev, config, "systemd")) startSystemdWatch();
+  if (sectionChanged(prev, config, "plugins")) await loadPlugins();
+  if (sectionChanged(prev, config, "control")) await startControlSocket();
+  if (sectionChanged(prev, config, "http")) {
+    await stopHttp();
+    await maybeStartHttp();
+  }
+  // Filters, thresholds etc. take effect with the next snapshot; changes go out as deltas
+  await takeSnapshot({ fresh: true });
+  onApplied();
+  if (wsChanged) {
+    wsLog("connection settings changed; reconnecting");
+    reconnectWS();
+  }
+}
+
+function writeFileAtomic(file, text, defaultMode = 0o600) {
+  let mode = defaultMode;
+  try { mode = fs.statSync(file).mode & 0o777; } catch (_) {}
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text, { mode });
+  fs.renameSync(tmp, file);
+}
+
+function watchConfigFile() {
+  for (const p of CONFIG_PATHS) fs.unwatchFile(p);
+  if (!configFile) return;
+  // watchFile (stat polling) survives editors that replace the file on save
+  fs.watchFile(configFile, { interval: 2000 }, (cur, prev) => {
+    if (cur.mtimeMs !== prev.mtimeMs) reloadConfig("file change");
+  });
+}
+
+async function reloadConfig(reason) {
+  let next;
+  try {
+    next = loadConfig();
+  } catch (e) {
+    console.error(`[svc-agent] config reload (${reason}) rejected, keeping current config: ${e.message}`);
+    return;
+  }
+  if (JSON.stringify(next.config) === JSON.stringify(config)) return;
+  const prev = config;
+  const prevFile = configFile;
+  ({ config, file: configFile, raw: configRaw } = next);
+  console.log(`[svc-agent] config reloaded (${reason}) from ${configFile || "defaults"}`);
+  if (configFile !== prevFile) watchConfigFile();
+  try {
+    await applyConfig(prev);
+  } catch (e) {
+    console.error(`[svc-agent] applying reloaded config failed: ${e.message}`);
+  }
+}
+
+// Remote config push: merged into (or, with `replace`, replacing) the file's
+// content, validated, written atomically and applied. If applying fails, the
+// previous file and running config are restored.
+// What a collector may change with setConfig: selection, metadata, thresholds
+// and limits. Everything else (security, actions, ws/http/control, checks,
+// sinks, plugins, paths, update source, ...) only comes from the local file.
+const REMOTE_CONFIG_KEYS = [
+  "include", "exclude", "filters", "services", "reporting", "history", "host", "queue", "logs",
+  "jobs.maxAgeSec", "jobs.heartbeats",
+  "notify.enabled", "notify.routes", "notify.dedupSec", "notify.repeatSec", "notify.collectorDownMin",
+  "notify.onlyWhenDisconnected",
+];
+
+function withoutRemoteKeys(raw) {
+  const copy = JSON.parse(JSON.stringify(raw));
+  for (const key of REMOTE_CONFIG_KEYS) {
+    const parts = key.split(".");
+    const parent = parts.slice(0, -1).reduce((o, k) => (isPlainObject(o) ? o[k] : undefined), copy);
+    if (isPlainObject(parent)) delete parent[parts[parts.length - 1]];
+  }
+  return copy;
+}
+
+// Paths whose values differ (objects are compared key by key)
+function changedPaths(a, b, at = "") {
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].flatMap((k) => changedPaths(a[k], b[k], at ? `${at}.${k}` : k));
+  }
+  return JSON.stringify(a) === JSON.stringify(b) ? [] : [at || "(root)"];
+}
+
+function localOnlyChanges(prevRaw, nextRaw) {
+  return changedPaths(withoutRemoteKeys(prevRaw), withoutRemoteKeys(nextRaw))
+    .map((key) => `${key}: can only be changed in the local config file`);
+}
+
+async function setConfigFromCommand(data, onApplied) {
+  if (!isPlainObject(data.config)) throw new ConfigError("setConfig", ["config: expected object"]);
+  const file = configFile || process.env.SVC_AGENT_CONFIG || path.join(__dirname, "tds-svc-agent.json");
+  const nextRaw = data.replace ? data.config : deepMerge(configRaw || {}, data.config);
+  const denied = localOnlyChanges(configRaw || {}, nextRaw);
+  if (denied.length) throw new ConfigError("setConfig", denied);
+  const errors = configErrors(nextRaw);
+  if (errors.length) throw new ConfigError(file, errors);
+
+  const prev = { config, file: configFile, raw: configRaw };
+  writeFileAtomic(file, JSON.stringify(nextRaw, null, 2) + "\n");
+  config = deepMerge(defaults, nextRaw);
+  configFile = file;
+  configRaw = nextRaw;
+  if (configFile !== prev.file) watchConfigFile();
+
+  try {
+    await applyConfig(prev.config, () => onApplied({ file }));
+  } catch (e) {
+    const failed = config;
+    if (prev.raw) writeFileAtomic(file, JSON.stringify(prev.raw, null, 2) + "\n");
+    else try { fs.unlinkSync(file); } catch (_) {}
+    ({ config, file: configFile, raw: configRaw } = prev);
+    watchConfigFile();
+    await applyConfig(failed).catch((err) => console.error(`[svc-agent] config rollback: ${err.message}`));
+    throw new Error(`applying config failed, rolled back: ${e.message}`);
+  }
+  return { file };
+}
+
+// ---------- Command line ----------
+// `svc-agent <command>` for local operators; without a command the agent runs.
+// Log lines go to stderr, so stdout carries only the result (e.g. snapshot --json).
+const CLI_USAGE = `usage: svc-agent [command]
+  (none)                                 run the agent
+  snapshot [--json|--table]              enumerate services once and print them (health checks only run in the agent)
+  status [--json]                        connection state, last report and reconnect attempts of the running agent
+  doctor                                 check the config, collector reachability/TLS, Docker and systemctl/launchctl access
+  id [--regenerate]                      print the systemId; --regenerate drops the saved id and derives it again
+  ping <job> [--fail] [--message <text>] record a run of a jobs.heartbeats job`;
+
+const out = (text) => process.stdout.write(text + "\n");
+
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => String(r[i]).length)));
+  return rows
+    .map((r) => r.map((c, i) => (i === r.length - 1 ? String(c) : String(c).padEnd(widths[i]))).join("  "))
+    .join("\n");
+}
+
+async function cliSnapshot(args) {
+  SYSTEM_ID = await initSystemId({ persist: false });
+  await loadPlugins();
+  const snap = await takeSnapshot();
+  if (args.includes("--json")) {
+    out(JSON.stringify({ host: HOSTNAME, systemId: SYSTEM_ID, ...snap }, null, 2));
+    return 0;
+  }
+  const rows = [["SERVICE", "STATE", "HEALTH", "PID", "DESCRIPTION"]];
+  const services = [...snap.services].sort((a, b) => a.service.localeCompare(b.service));
+  for (const s of services) {
+    rows.push([s.service, `${s.active}/${s.sub}`, s.healthy ? "ok" : "UNHEALTHY", s.mainPid || s.pid || "-", s.description || ""]);
+  }
+  out(formatTable(rows));
+  out(`\n${services.length} services, ${services.filter((s) => !s.healthy).length} unhealthy`);
+  for (const c of snap.collectors.filter((c) => c.status === "error")) out(`collector ${c.name} failed: ${c.error}`);
+  return 0;
+}
+
+function printStatus(st) {
+  const lines = [
+    `agent      ${st.agent.version} on ${st.host} (systemId ${st.systemId}), pid ${st.pid}, running since ${st.startedAt}`,
+    `config     ${st.configFile || "defaults"}`,
+  ];
+  if (!st.ws.connections.length) lines.push("endpoint   none configured");
+  for (const c of st.ws.connections) {
+    const flags = [c.primary && "primary", c.control && "control"].filter(Boolean).join(", ");
+    let detail = c.state;
+    if (c.state === "connected") detail += ` since ${c.connectedAt}, protocol ${c.protocolVersion}/${c.encoding}`;
+    else detail += `, ${c.reconnectAttempts} reconnect attempt(s)${c.downSince ? `, down since ${c.downSince}` : ""}`;
+    lines.push(`endpoint   ${c.url}: ${detail}${flags ? ` [${flags}]` : ""}; last sent ${c.lastSentAt || "never"}`);
+  }
+  lines.push(`report     last snapshot ${st.lastSnapshotAt || "none"}: ${st.services} services, ` +
+    `${st.unhealthy.length} unhealthy; lastSeq ${st.lastSeq}, ${st.queued} queued`);
+  for (const c of st.collectors) {
+    lines.push(`collector  ${c.name}: ${c.status}${c.error ? ` (${c.error})` : ` (${c.count} services, ${c.durationMs}ms)`}`);
+  }
+  if (st.unhealthy.length) lines.push(`unhealthy  ${st.unhealthy.join(", ")}`);
+  out(lines.join("\n"));
+}
+
+function cliStatus(args) {
+  const file = controlSocketPath();
+  return new Promise((resolve) => {
+    let buf = "";
+    const sock = net.createConnection(file);
+    sock.setEncoding("utf8");
+    sock.setTimeout(5000, () => sock.destroy(new Error("no answer within 5s")));
+    sock.on("connect", () => sock.write(JSON.stringify({ cmd: "status" }) + "\n"));
+    sock.on("data", (d) => { buf += d; });
+    sock.on("end", () => {
+      let res = null;
+      try { res = JSON.parse(buf); } catch (_) {}
+      if (!res || !res.ok) {
+        console.error(`[svc-agent] unexpected answer from ${file}: ${(res && res.error) || buf.trim()}`);
+        return resolve(1);
+      }
+      if (args.includes("--json")) out(JSON.stringify(res.status, null, 2));
+      else printStatus(res.status);
+      resolve(0);
+    });
+    sock.on("error", (e) => {
+      console.error(`[svc-agent] cannot reach the agent at ${file}: ${e.message}`);
+      if (e.code === "ENOENT" || e.code === "ECONNREFUSED") console.error("[svc-agent] is it running (with control.enabled)?");
+      if (e.code === "EACCES") console.error("[svc-agent] run as root or as the agent's user");
+      resolve(1);
+    });
+  });
+}
+
+async function cliDoctor() {
+  let failed = 0;
+  const report = (level, what, detail) => {
+    if (level === "FAIL") failed++;
+    out(`${level.padEnd(5)} ${what}: ${String(detail).replace(/\n/g, "\n      ")}`);
+  };
+
+  if (configLoadError) report("FAIL", "config", configLoadError.message);
+  else report("ok", "config", configFile ? `${configFile} is valid` : "no config file, using defaults");
+
+  SYSTEM_ID = await initSystemId({ persist: false });
+  const stateDir = path.dirname(stateFilePath(".queue"));
+  try {
+    fs.accessSync(stateDir, fs.constants.W_OK);
+    report("ok", "state", `systemId ${SYSTEM_ID}, state files in ${stateDir}`);
+  } catch (_) {
+    report("warn", "state", `${stateDir} is not writable for this user: id, queue and credentials cannot be saved`);
+  }
+
+  // Same handshake (token or stored credential, TLS options) as the agent's
+  loadCredentials();
+  const endpoints = wsEndpoints();
+  if (!endpoints.length) report("FAIL", "collector", "no ws.url or ws.urls configured");
+  for (const ep of endpoints) {
+    const auth = wsAuthMode(ep);
+    const res = await probeEndpoint(ep);
+    if (!res.ok) {
+      const hint = /HTTP 40[13]/.test(res.error) ? " (token or stored credential rejected)" : "";
+      report("FAIL", "collector", `${ep.url}: ${res.error}${hint}`);
+    } else {
+      report(auth.tls === "insecure" ? "warn" : "ok", "collector",
+        `${ep.url} reachable (auth=${auth.mode}, tls=${auth.tls}${ep.control ? ", control" : ""})`);
+    }
+  }
+
+  if (!config.docker.enabled) {
+    report("skip", "docker", "docker.enabled is false");
+  } else {
+    try {
+      await dockerRequest("GET", "/_ping", 5000);
+      report("ok", "docker", `Engine API at ${config.docker.host || "unix:///var/run/docker.sock"}`);
+    } catch (e) {
+      const r = await execCmd(`${config.docker.binary} version --format '{{.Server.Version}}'`);
+      if (r.code === 0) report("warn", "docker", `Engine API unavailable (${e.message}); the ${config.docker.binary} CLI works`);
+      else report("FAIL", "docker", `${e.message}${e.code === "EACCES" ? " (add this user to the docker group)" : ""}`);
+    }
+  }
+
+  const lister = isLinux ? "systemctl list-units --type=service --all --no-legend --no-pager" : isMac ? "launchctl print system" : null;
+  if (lister) {
+    const r = await execCmd(lister);
+    if (r.code === 0) report("ok", lister.split(" ")[0], `\`${lister.split(" ").slice(0, 2).join(" ")}\` works`);
+    else report("FAIL", lister.split(" ")[0], `\`${lister}\` failed: ${(r.stderr || "").trim() || `exit ${r.code}`}`);
+  }
+  // Service actions run systemctl/launchctl as the agent's user
+  const actions = Object.keys(config.actions).length;
+  if (actions && process.getuid && process.getuid() !== 0) {
+    report("warn", "actions", `${actions} service(s) allow remote actions; as non-root they need polkit rules (Linux) or fail`);
+  }
+
+  out(failed ? `\n${failed} check(s) failed` : "\nall checks passed");
+  return failed ? 1 : 0;
+}
+
+async function cliId(args) {
+  if (!args.includes("--regenerate")) {
+    const file = ID_FILE_CANDIDATES.find((p) => fs.existsSync(p));
+    out(await initSystemId({ persist: false }));
+    if (config.systemId) console.error("[svc-agent] set in the config (systemId)");
+    else console.error(file ? `[svc-agent] saved in ${file}` : "[svc-agent] derived from this machine; saved when the agent starts");
+    return 0;
+  }
+  if (config.systemId) {
+    console.error("[svc-agent] systemId is set in the config; change it there");
+    return 1;
+  }
+  const before = await readFirstExisting(ID_FILE_CANDIDATES);
+  for (const file of ID_FILE_CANDIDATES.filter((p) => fs.existsSync(p))) {
+    try {
+      fs.unlinkSync(file);
+    } catch (e) {
+      console.error(`[svc-agent] cannot remove ${file}: ${e.message}`);
+      return 1;
+    }
+  }
+  const id = await initSystemId();
+  const file = ID_FILE_CANDIDATES.find((p) => fs.existsSync(p));
+  if (!file) {
+    console.error(`[svc-agent] cannot save the id; none of ${ID_FILE_CANDIDATES.join(", ")} is writable`);
+    return 1;
+  }
+  out(id);
+  console.error(`[svc-agent] systemId ${before || "(none)"} -> ${id}, saved in ${file}`);
+  if (before !== id) {
+    console.error("[svc-agent] restart the agent to use it; stored collector credentials belong to the old id (re-enrolls with ws.joinToken)");
+  }
+  return 0;
+}
+
+const CLI_COMMANDS = { snapshot: cliSnapshot, status: cliStatus, doctor: cliDoctor, id: cliId, ping: cliPing };
+
+function runCli(command, args) {
+  console.log = console.error;
+  Promise.resolve()
+    .then(() => CLI_COMMANDS[command](args))
+    .catch((e) => {
+      console.error(`[svc-agent] ${command} failed: ${e.message}`);
+      return 1;
+    })
+    // exit once stdout is flushed (pipes are asynchronous on macOS)
+    .then((code) => process.stdout.write("", () => process.exit(code)));
+}
+
 // ---------- Boot ----------
-(async function boot() {
+async function boot() {
+  if (configFile) console.log(`[svc-agent] Loaded config from ${configFile}`);
   SYSTEM_ID = await initSystemId();
   console.log(`[svc-agent] host=${HOSTNAME} systemId=${SYSTEM_ID}`);
+  loadSeq();
+  loadQueue();
+  loadCredentials();
+  loadPendingUpdate();
+  startProbes();
+  startDockerEvents();
+  startSystemdWatch();
+  await loadPlugins();
 
   await takeSnapshot(); // prime
-  await maybeStartHttp();
-  connectWS();
+  // Without its HTTP API the agent still reports over WS
+  await maybeStartHttp().catch((e) => console.error(`[svc-agent] HTTP API not started: ${e.message}`));
+  await startControlSocket();
+  startWS();
+  watchWsTlsFiles();
   startPeriodicReports();
+  watchConfigFile();
+  process.on("SIGHUP", () => reloadConfig("SIGHUP"));
 
   function shutdown(sig) {
     console.log(`[svc-agent] ${sig} received, shutting down`);
-    stopHeartbeat();
     stopPeriodicReports();
-    try { ws && ws.close(); } catch (_) {}
+    stopProbes();
+    stopDockerEvents();
+    stopSystemdWatch();
+    stopGraceTimer();
+    stopWatchingWsTlsFiles();
+    stopWS();
+    stopControlSocket();
     try { httpServer && httpServer.close(); } catch (_) {}
     setTimeout(() => process.exit(0), 300);
   }
   ["SIGINT", "SIGTERM"].forEach((sig) => process.on(sig, () => shutdown(sig)));
-})();
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === undefined) boot();
+  else if (CLI_COMMANDS[command]) runCli(command, args);
+  else {
+    (command === "help" || command === "--help" ? console.log : console.error)(CLI_USAGE);
+    process.exit(command === "help" || command === "--help" ? 0 : 2);
+  }
+} else {
+  // Required (not run): the launchctl parsers for test/, command signing for
+  // scripts/sign-command.js and test/
+  module.exports = {
+    parseLaunchctlPrint, parseLaunchdDomain, parseLaunchdJob, launchdJobToService, nextCalendarRun,
+    canonicalJson, verifyCommand,
+  };
+}
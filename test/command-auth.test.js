@@ -0,0 +1,52 @@
+// Command signing (scripts/sign-command.js) against the agent's verifyCommand; run with `npm test`
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { verifyCommand } = require("../svc-agent.js");
+const { signCommand } = require("../scripts/sign-command.js");
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+const SYSTEM_ID = "0123456789abcdef0123456789abcdef";
+const NOW = 1_800_000_000_000;
+// An agent that started a minute before NOW
+const opts = { key: publicKey, systemId: SYSTEM_ID, maxAgeSec: 300, startedAt: NOW - 60000, now: NOW };
+
+const sign = (extra = {}, ts = NOW - 1000) =>
+  signCommand({ type: "serviceAction", id: 1, service: "nginx.service", action: "restart", systemId: SYSTEM_ID, ...extra }, privateKey, ts);
+
+test("a signed command for this agent is accepted", () => {
+  assert.doesNotThrow(() => verifyCommand(sign(), opts));
+});
+
+test("a tampered command or foreign key is rejected", () => {
+  const cmd = sign();
+  assert.throws(() => verifyCommand({ ...cmd, action: "stop" }, opts), /bad signature/);
+  const other = crypto.generateKeyPairSync("ed25519").publicKey;
+  assert.throws(() => verifyCommand(sign(), { ...opts, key: other }), /bad signature/);
+  assert.throws(() => verifyCommand({ ...sign(), sig: undefined }, opts), /missing signature/);
+});
+
+test("a nonce is accepted once", () => {
+  const cmd = sign();
+  verifyCommand(cmd, opts);
+  assert.throws(() => verifyCommand(cmd, opts), /replayed command/);
+});
+
+test("commands outside maxCommandAgeSec are expired", () => {
+  assert.throws(() => verifyCommand(sign({}, NOW - 301 * 1000), { ...opts, startedAt: 0 }), /command expired/);
+  assert.throws(() => verifyCommand(sign({}, NOW + 301 * 1000), opts), /command expired/);
+});
+
+test("a command for another systemId is rejected", () => {
+  assert.throws(() => verifyCommand(sign({ systemId: "ffffffffffffffffffffffffffffffff" }), opts), /another systemId/);
+  // systemId is covered by the signature
+  assert.throws(() => verifyCommand({ ...sign({ systemId: "ffffffffffffffffffffffffffffffff" }), systemId: SYSTEM_ID }, opts), /bad signature/);
+});
+
+test("a command signed before the agent started is rejected", () => {
+  assert.throws(() => verifyCommand(sign({}, NOW - 120000), opts), /before agent start/);
+});
+
+test("signCommand requires a target systemId", () => {
+  assert.throws(() => signCommand({ type: "update", id: 2 }, privateKey), /systemId/);
+});
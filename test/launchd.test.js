@@ -0,0 +1,154 @@
+// Fixture tests for the launchctl parsers; run with `npm test`
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseLaunchctlPrint,
+  parseLaunchdDomain,
+  parseLaunchdJob,
+  launchdJobToService,
+  nextCalendarRun,
+} = require("../svc-agent.js");
+
+const DOMAIN = `system = {
+	type = system
+	handle = 0
+	active count = 612
+	services = {
+		       0      0 	com.example.backup
+		     123      - 	com.example.web
+		       -     78 	com.example.broken
+	}
+	disabled services = {
+		"com.example.broken" => disabled
+		"com.apple.ftpd" => enabled
+	}
+}
+`;
+
+const CALENDAR_JOB = `com.example.backup = {
+	active count = 0
+	path = /Library/LaunchDaemons/com.example.backup.plist
+	type = LaunchDaemon
+	state = not running
+
+	program = /usr/local/bin/backup
+	arguments = {
+		/usr/local/bin/backup
+		--full
+	}
+
+	stdout path = /var/log/backup.log
+	runs = 4
+	last exit code = 0
+
+	event triggers = {
+		com.example.backup.268435480 => {
+			keepalive = 0
+			service = com.example.backup
+			stream = com.apple.launchd.calendarinterval.system
+			descriptor = {
+				"Minute" => 30
+				"Hour" => 3
+			}
+		}
+	}
+
+	properties = runatload | inferred program
+}
+`;
+
+const DAEMON_JOB = `com.example.web = {
+	active count = 1
+	path = /Library/LaunchDaemons/com.example.web.plist
+	type = LaunchDaemon
+	state = running
+
+	program = /usr/local/bin/web
+	pid = 123
+	runs = 3
+	last exit code = (never exited)
+
+	properties = keepalive | runatload
+}
+`;
+
+test("parseLaunchctlPrint nests blocks and unquotes keys", () => {
+  const root = parseLaunchctlPrint(DOMAIN);
+  assert.strictEqual(root.system.type, "system");
+  assert.strictEqual(root.system["disabled services"]["com.example.broken"], "disabled");
+  assert.strictEqual(root.system.services._lines.length, 3);
+});
+
+test("parseLaunchdDomain lists jobs and disabled overrides", () => {
+  const { jobs, disabled } = parseLaunchdDomain(DOMAIN);
+  assert.deepStrictEqual(jobs, [
+    { label: "com.example.backup", pid: null, lastExitStatus: 0 },
+    { label: "com.example.web", pid: 123, lastExitStatus: null },
+    { label: "com.example.broken", pid: null, lastExitStatus: 78 },
+  ]);
+  assert.deepStrictEqual(disabled, { "com.example.broken": true, "com.apple.ftpd": false });
+});
+
+test("parseLaunchdJob reads a calendar job", () => {
+  const job = parseLaunchdJob(CALENDAR_JOB);
+  assert.strictEqual(job.label, "com.example.backup");
+  assert.strictEqual(job.state, "not running");
+  assert.deepStrictEqual(job.arguments, ["/usr/local/bin/backup", "--full"]);
+  assert.strictEqual(job.runs, 4);
+  assert.strictEqual(job.lastExitCode, 0);
+  assert.strictEqual(job.keepAlive, false);
+  assert.strictEqual(job.runAtLoad, true);
+  assert.deepStrictEqual(job.calendar, [{ Minute: 30, Hour: 3 }]);
+  assert.strictEqual(job.stdoutPath, "/var/log/backup.log");
+});
+
+test("parseLaunchdJob reads a KeepAlive daemon", () => {
+  const job = parseLaunchdJob(DAEMON_JOB);
+  assert.strictEqual(job.pid, 123);
+  assert.strictEqual(job.lastExitCode, null);
+  assert.strictEqual(job.keepAlive, true);
+  assert.deepStrictEqual(job.calendar, []);
+});
+
+test("launchdJobToService: an idle calendar job is healthy", () => {
+  const entry = { label: "com.example.backup", pid: null, lastExitStatus: 0 };
+  const svc = launchdJobToService("system", entry, parseLaunchdJob(CALENDAR_JOB), false);
+  assert.strictEqual(svc.kind, "calendar");
+  assert.strictEqual(svc.active, "inactive");
+  assert.strictEqual(svc.sub, "idle");
+  assert.strictEqual(svc.healthy, true);
+  assert.strictEqual(svc.restarts, null);
+  assert.ok(svc.nextRunAt);
+});
+
+test("launchdJobToService: a calendar job that exited non-zero is unhealthy", () => {
+  const entry = { label: "com.example.backup", pid: null, lastExitStatus: 78 };
+  const svc = launchdJobToService("system", entry, parseLaunchdJob(CALENDAR_JOB), false);
+  assert.strictEqual(svc.active, "failed");
+  assert.strictEqual(svc.healthy, false);
+});
+
+test("launchdJobToService: a daemon is healthy only while running", () => {
+  const job = parseLaunchdJob(DAEMON_JOB);
+  const up = launchdJobToService("system", { label: "com.example.web", pid: 123, lastExitStatus: null }, job, false);
+  assert.strictEqual(up.kind, "daemon");
+  assert.strictEqual(up.healthy, true);
+  assert.strictEqual(up.restarts, 2);
+
+  const down = launchdJobToService("system", { label: "com.example.web", pid: null, lastExitStatus: 0 }, { ...job, pid: null }, true);
+  assert.strictEqual(down.sub, "stopped");
+  assert.strictEqual(down.healthy, false);
+  assert.strictEqual(down.unitFileState, "disabled");
+});
+
+test("nextCalendarRun finds the next matching local time", () => {
+  const from = new Date(2026, 2, 10, 4, 0); // Tue 10 Mar 2026, 04:00
+  const at = (...args) => new Date(...args).toISOString();
+  assert.strictEqual(nextCalendarRun([{ Hour: 3, Minute: 30 }], from), at(2026, 2, 11, 3, 30));
+  assert.strictEqual(nextCalendarRun([{ Minute: 15 }], from), at(2026, 2, 10, 4, 15));
+  // Weekday 0 and 7 are both Sunday
+  assert.strictEqual(nextCalendarRun([{ Weekday: 7, Hour: 9, Minute: 0 }], from), at(2026, 2, 15, 9, 0));
+  // The earliest of several entries wins
+  assert.strictEqual(nextCalendarRun([{ Hour: 22, Minute: 0 }, { Hour: 5, Minute: 0 }], from), at(2026, 2, 10, 5, 0));
+  assert.strictEqual(nextCalendarRun([{ Month: 2, Day: 29, Hour: 0, Minute: 0 }], from), at(2028, 1, 29, 0, 0));
+});